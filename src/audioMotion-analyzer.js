@@ -22,19 +22,63 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-// current visualization settings
-export var mode, minFreq, maxFreq, gradient, showBgColor, showLeds, showScale, showPeaks, loRes, showFPS;
+// special visualization modes - see setMode()
+var MODE_OSCILLOSCOPE = 30,
+	MODE_SPECTROGRAM  = 31,
+	MODE_METERS       = 32,
+	MODE_GONIOMETER   = 33;
 
-// data for drawing the analyzer bars and scale-related variables
-var analyzerBars, barWidth, ledOptions, freqLabels;
+// loudness histograms, used for gating - 0.1 LU bins from -70 to +30 LUFS, as in libebur128
+var LOUDNESS_BINS = 1000,
+	loudnessBinEnergy = [ ...Array( LOUDNESS_BINS ).keys() ].map( bin => 10 ** ( ( -70 + ( bin + .5 ) / 10 + .691 ) / 10 ) );
 
-// Web Audio API related variables
-export var audioCtx, analyzer, dataArray;
+// note names, for the musical note labels and the tuner
+var noteNames = [ 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B' ];
 
-// canvas-related variables
-export var canvas, canvasCtx, pixelRatio, width, height, fsWidth, fsHeight, fps;
+// ISO 266 R40 series of preferred numbers, used for the nominal mid-band frequencies of ISO / ANSI bands
+var preferredNumbers = [
+	1, 1.06, 1.12, 1.18, 1.25, 1.32, 1.4, 1.5, 1.6, 1.7, 1.8, 1.9, 2, 2.12, 2.24, 2.36, 2.5, 2.65, 2.8, 3,
+	3.15, 3.35, 3.55, 3.75, 4, 4.25, 4.5, 4.75, 5, 5.3, 5.6, 6, 6.3, 6.7, 7.1, 7.5, 8, 8.5, 9, 9.5, 10
+];
 
-var animationReq, drawCallback, ledsMask, ledsCtx, time, frame, canvasResizeCallback;
+/**
+ * Create a stand-in for a canvas 2D context, which records drawing commands and property assignments to be replayed on another context
+ *
+ * Used for the onCanvasDraw callback when drawing is done by a worker. Property values can be read back, and measureText()
+ * is performed on an auxiliary canvas; other methods return no value, so gradients, patterns and pixel data are not supported.
+ *
+ * @returns {object} recording context - reading its `_commands` property returns the recorded commands and clears the list
+ */
+function createRecorder() {
+	var measureCtx,
+		commands = [];
+
+	return new Proxy( {}, {
+		get: ( target, prop ) => {
+			if ( prop == '_commands' )
+				return commands.splice( 0 );
+
+			if ( prop in target )
+				return target[ prop ];
+
+			if ( prop == 'measureText' )
+				return text => {
+					measureCtx = measureCtx || document.createElement('canvas').getContext('2d');
+					measureCtx.font = target.font || '10px sans-serif';
+					return measureCtx.measureText( text );
+				};
+
+			return ( ...args ) => {
+				commands.push( [ prop, args ] );
+			};
+		},
+		set: ( target, prop, value ) => {
+			target[ prop ] = value;
+			commands.push( [ prop, value, true ] );
+			return true;
+		}
+	});
+}
 
 // gradient definitions
 var	gradients = {
@@ -79,826 +123,3570 @@ var defaults = {
 	fftSize     : 8192,
 	minFreq     : 20,
 	maxFreq     : 22000,
+	frequencyScale: 'log',
+	bandStandard: 'tempered',
 	smoothing   : 0.5,
 	gradient    : 'classic',
 	minDb       : -85,
 	maxDb       : -25,
 	showBgColor : true,
 	showLeds    : false,
+	ledCount    : null,
+	ledGapH     : null,
+	ledGapV     : null,
+	ledRadius   : 0,
+	ledUnlit    : false,
 	showScale   : true,
+	showDbScale : false,
+	noteLabels  : false,
+	showTuner   : false,
+	useFloatData: false,
+	linearAmplitude: false,
+	weightingFilter: '',
 	showPeaks   : true,
+	peakHoldTime: 500,
+	peakFallMode: 'gravity',
+	peakFallTime: 500,
 	showFPS     : false,
 	loRes       : false,
+	stereo      : false,
+	stereoLayout: 'stacked',
+	barSpace    : 0,
+	mirror      : false,
+	reflexRatio : 0,
+	reflexAlpha : .15,
+	radial      : false,
+	innerRadius : .3,
+	showScope   : false,
+	scopeLineWidth: 2,
+	scopeTrigger: true,
+	spectrogramDir  : 'down',
+	spectrogramSpeed: 60,
+	beatBands   : { bass: [ 20, 250 ], mids: [ 250, 4000 ], highs: [ 4000, 16000 ] },
+	beatThreshold: 6,
+	showLoudness: false,
+	loudnessTarget: -23,
+	showMeters  : false,
+	meterType   : 'vu',
+	meterReference: -18,
+	goniometerPersistence: .7,
+	goniometerZoom: 1,
+	useWorker   : false,
+	workerUrl   : 'audioMotion-worker.js',
 	width       : 640,
 	height      : 270
 };
 
 
-/**
- * Checks if the analyzer is being displayed in fullscreen mode
- *
- * @returns {boolean}
- */
-export function isFullscreen() {
-	if ( document.fullscreenElement )
-		return document.fullscreenElement === canvas;
-	else if ( document.webkitFullscreenElement )
-		return document.webkitFullscreenElement === canvas;
-}
+export default class AudioMotionAnalyzer {
 
-/**
- * Checks if the analyzer canvas animation is running or not
- *
- * @returns {boolean}
- */
-export function isOn() {
-	return animationReq !== undefined;
-}
+	/**
+	 * Constructor
+	 *
+	 * @param {object} [container] DOM element where to insert the analyzer; if undefined, uses the document body
+	 * @param {object} [options]
+	 */
+	constructor( container, options = {} ) {
 
-/**
- * Set dimensions of analyzer's canvas
- *
- * @param {number} [w] width in pixels
- * @param {number} [h] height in pixels
- */
-export function setCanvasSize( w = defaults.width, h = defaults.height ) {
-	width = w;
-	height = h;
-	setCanvas('user');
-}
+		this._container = container || document.body;
 
-/**
- * Set callback function for canvas draw
- *
- * @param {function} [func] if undefined or not a function, clears any previously set function
- */
-export function setCanvasDrawCallback( func ) {
-	if ( typeof func == 'function' )
-		drawCallback = func;
-	else
-		drawCallback = undefined;
-}
+		// Create audio context, unless an existing one has been provided
 
-/**
- * Set callback function for canvas resize
- *
- * @param {function} [func] if undefined or not a function, clears any previously set function
- */
-export function setCanvasResizeCallback( func ) {
-	if ( typeof func == 'function' )
-		canvasResizeCallback = func;
-	else
-		canvasResizeCallback = undefined;
-}
+		if ( options.audioCtx )
+			this.audioCtx = options.audioCtx;
+		else {
+			var AudioContext = window.AudioContext || window.webkitAudioContext;
 
-/**
- * Set visualization mode
- *
- * @param {number} [value]
- */
-export function setMode( value = defaults.mode ) {
-	mode = Number( value );
-	preCalcPosX();
-}
+			try {
+				this.audioCtx = new AudioContext();
+			}
+			catch( err ) {
+				throw 'Could not create audio context. Web Audio API not supported?';
+			}
+			this._ownAudioCtx = true; // the context will be closed by destroy()
+		}
 
-/**
- * Set the size of the FFT performed by the analyzer node
- *
- * @param {number} [value]
- */
-export function setFFTSize( value = defaults.fftSize ) {
-	analyzer.fftSize = value;
-	dataArray = new Uint8Array( analyzer.frequencyBinCount );
-	preCalcPosX();
-}
+		// Create analyzer node and connect to destination
+
+		this.analyzer = this.audioCtx.createAnalyser();
+		this._sources = [];
+
+		if ( options.source )
+			this.audioSource = this.connectAudio( options.source );
+
+		this.analyzer.connect( this.audioCtx.destination );
+
+		// Create a channel splitter and one analyzer node for each channel, used in stereo mode
+		// the main analyzer node passes its input through unchanged, so the splitter is fed from its output, via a gain node
+		// which upmixes mono sources (like a microphone) to both channels
+
+		this._upmixer = this.audioCtx.createGain();
+		this._upmixer.channelCount = 2;
+		this._upmixer.channelCountMode = 'explicit';
+		this._upmixer.channelInterpretation = 'speakers';
+		this._splitter = this.audioCtx.createChannelSplitter(2);
+		this._upmixer.connect( this._splitter );
+		this._channelAnalyzers = [ this.audioCtx.createAnalyser(), this.audioCtx.createAnalyser() ];
+		this._channelAnalyzers.forEach( ( node, channel ) => this._splitter.connect( node, channel ) );
+
+		// Adjust settings
+
+		this.mode        = options.mode        === undefined ? defaults.mode        : Number( options.mode );
+		this.minFreq     = options.minFreq     === undefined ? defaults.minFreq     : options.minFreq;
+		this.maxFreq     = options.maxFreq     === undefined ? defaults.maxFreq     : options.maxFreq;
+		this.frequencyScale = options.frequencyScale === undefined ? defaults.frequencyScale : options.frequencyScale;
+		this.bandStandard   = options.bandStandard   === undefined ? defaults.bandStandard   : options.bandStandard;
+		this.gradient    = options.gradient    === undefined ? defaults.gradient    : options.gradient;
+		this.showBgColor = options.showBgColor === undefined ? defaults.showBgColor : options.showBgColor;
+		this.showLeds    = options.showLeds    === undefined ? defaults.showLeds    : options.showLeds;
+		this.ledCount    = options.ledCount    === undefined ? defaults.ledCount    : options.ledCount;
+		this.ledGapH     = options.ledGapH     === undefined ? defaults.ledGapH     : options.ledGapH;
+		this.ledGapV     = options.ledGapV     === undefined ? defaults.ledGapV     : options.ledGapV;
+		this.ledRadius   = options.ledRadius   === undefined ? defaults.ledRadius   : options.ledRadius;
+		this.ledUnlit    = options.ledUnlit    === undefined ? defaults.ledUnlit    : options.ledUnlit;
+		this.showScale   = options.showScale   === undefined ? defaults.showScale   : options.showScale;
+		this.showDbScale = options.showDbScale === undefined ? defaults.showDbScale : options.showDbScale;
+		this.noteLabels  = options.noteLabels  === undefined ? defaults.noteLabels  : options.noteLabels;
+		this.showTuner   = options.showTuner   === undefined ? defaults.showTuner   : options.showTuner;
+		this.useFloatData    = options.useFloatData    === undefined ? defaults.useFloatData    : options.useFloatData;
+		this.linearAmplitude = options.linearAmplitude === undefined ? defaults.linearAmplitude : options.linearAmplitude;
+		this.weightingFilter = options.weightingFilter === undefined ? defaults.weightingFilter : options.weightingFilter;
+		this.showPeaks   = options.showPeaks   === undefined ? defaults.showPeaks   : options.showPeaks;
+		this.peakHoldTime = options.peakHoldTime === undefined ? defaults.peakHoldTime : options.peakHoldTime;
+		this.peakFallMode = options.peakFallMode === undefined ? defaults.peakFallMode : options.peakFallMode;
+		this.peakFallTime = options.peakFallTime === undefined ? defaults.peakFallTime : options.peakFallTime;
+		this.showFPS     = options.showFPS     === undefined ? defaults.showFPS     : options.showFPS;
+		this.loRes       = options.loRes       === undefined ? defaults.loRes       : options.loRes;
+		this.width       = options.width       === undefined ? this._container.clientWidth  || defaults.width  : options.width;
+		this.height      = options.height      === undefined ? this._container.clientHeight || defaults.height : options.height;
+		this.stereoLayout = options.stereoLayout === undefined ? defaults.stereoLayout : options.stereoLayout;
+		this.barSpace    = options.barSpace    === undefined ? defaults.barSpace    : options.barSpace;
+		this.mirror      = options.mirror      === undefined ? defaults.mirror      : options.mirror;
+		this.reflexRatio = options.reflexRatio === undefined ? defaults.reflexRatio : options.reflexRatio;
+		this.reflexAlpha = options.reflexAlpha === undefined ? defaults.reflexAlpha : options.reflexAlpha;
+		this.radial      = options.radial      === undefined ? defaults.radial      : options.radial;
+		this.innerRadius = options.innerRadius === undefined ? defaults.innerRadius : options.innerRadius;
+		this.showScope   = options.showScope   === undefined ? defaults.showScope   : options.showScope;
+		this.scopeLineWidth = options.scopeLineWidth === undefined ? defaults.scopeLineWidth : options.scopeLineWidth;
+		this.scopeTrigger   = options.scopeTrigger   === undefined ? defaults.scopeTrigger   : options.scopeTrigger;
+		this.spectrogramDir   = options.spectrogramDir   === undefined ? defaults.spectrogramDir   : options.spectrogramDir;
+		this.spectrogramSpeed = options.spectrogramSpeed === undefined ? defaults.spectrogramSpeed : options.spectrogramSpeed;
+		this.beatBands     = options.beatBands     === undefined ? defaults.beatBands     : options.beatBands;
+		this.beatThreshold = options.beatThreshold === undefined ? defaults.beatThreshold : options.beatThreshold;
+		this.bpm = 0;
+		this._beatState = {};
+
+		this.analyzer.fftSize               = options.fftSize   === undefined ? defaults.fftSize   : options.fftSize;
+		this.analyzer.smoothingTimeConstant = options.smoothing === undefined ? defaults.smoothing : options.smoothing;
+		this.analyzer.minDecibels           = options.minDb     === undefined ? defaults.minDb     : options.minDb;
+		this.analyzer.maxDecibels           = options.maxDb     === undefined ? defaults.maxDb     : options.maxDb;
+
+		this.dataArray = new Uint8Array( this.analyzer.frequencyBinCount );
+		this._syncChannelAnalyzers();
+
+		this.stereo = false;
+		this._connectStereo( options.stereo === undefined ? defaults.stereo : options.stereo );
+
+		this.loudnessTarget = options.loudnessTarget === undefined ? defaults.loudnessTarget : options.loudnessTarget;
+		this.showLoudness = options.showLoudness === undefined ? defaults.showLoudness : options.showLoudness;
+		this.showMeters     = options.showMeters     === undefined ? defaults.showMeters     : options.showMeters;
+		this.meterType      = options.meterType      === undefined ? defaults.meterType      : options.meterType;
+		this.meterReference = options.meterReference === undefined ? defaults.meterReference : options.meterReference;
+		this.goniometerPersistence = options.goniometerPersistence === undefined ? defaults.goniometerPersistence : options.goniometerPersistence;
+		this.goniometerZoom        = options.goniometerZoom        === undefined ? defaults.goniometerZoom        : options.goniometerZoom;
+		this.correlation = 0;
+		this.resetLoudness();
+		this.resetMeters();
+		this._connectLevelNodes();
+
+		if ( typeof options.onCanvasDraw == 'function' )
+			this._drawCallback = options.onCanvasDraw;
+
+		if ( typeof options.onCanvasResize == 'function' )
+			this._canvasResizeCallback = options.onCanvasResize;
+
+		if ( typeof options.onBeat == 'function' )
+			this._beatCallback = options.onBeat;
+
+		// Copy built-in gradients - each instance keeps its own table, since the generated gradients are bound to its canvas
+
+		this._gradients = {};
+		Object.keys( gradients ).forEach( key => this._gradients[ key ] = Object.assign( {}, gradients[ key ] ) );
+
+		// Create canvas
+
+		this.canvas = document.createElement('canvas');
+		this.canvas.style = 'max-width: 100%;';
+		this._container.appendChild( this.canvas );
+
+		// when requested and supported, drawing is performed by a worker, on an OffscreenCanvas - otherwise, on the main thread
+		// (custom renderers always run on the main thread)
+		this.useWorker = !! ( options.useWorker && ! options.renderer && this.canvas.transferControlToOffscreen && typeof Worker != 'undefined' )
+			&& this._startWorker( options.workerUrl || defaults.workerUrl );
+
+		if ( ! this.useWorker )
+			this.canvasCtx = this.canvas.getContext( '2d', { alpha: false } );
+
+		this._setCanvas('create');
+		this.setRenderer( options.renderer );
+
+		// adjust canvas on window resize / fullscreen change - handlers are kept so destroy() can remove them
+		this._resizeHandler = () => {
+			this.width = options.width || this._container.clientWidth || defaults.width;
+			this.height = options.height || this._container.clientHeight || defaults.height;
+			this._setCanvas('resize');
+		};
+		this._fullscreenHandler = () => this._setCanvas('resize');
+
+		window.addEventListener( 'resize', this._resizeHandler );
+		this.canvas.addEventListener( 'fullscreenchange', this._fullscreenHandler ); // required for Firefox Android TV
+
+		// Start analyzer
+		if ( options.start === undefined || options.start !== false )
+			this.toggleAnalyzer( true );
+	}
 
-/**
- * Set desired frequency range
- *
- * @param {number} [min] lowest frequency represented in the x-axis
- * @param {number} [max] highest frequency represented in the x-axis
- */
-export function setFreqRange( min = defaults.minFreq, max = defaults.maxFreq ) {
-	minFreq = Math.min( min, max );
-	maxFreq = Math.max( min, max );
-	preCalcPosX();
-}
+	/**
+	 * Checks if the analyzer is being displayed in fullscreen mode
+	 *
+	 * @returns {boolean}
+	 */
+	isFullscreen() {
+		if ( document.fullscreenElement )
+			return document.fullscreenElement === this.canvas;
+		else if ( document.webkitFullscreenElement )
+			return document.webkitFullscreenElement === this.canvas;
+		else
+			return false;
+	}
 
-/**
- * Set the analyzer's smoothing time constant
- *
- * @param {number} [value] float value from 0 to 1
- */
-export function setSmoothing( value = defaults.smoothing ) {
-	analyzer.smoothingTimeConstant = value;
-}
+	/**
+	 * Checks if the analyzer canvas animation is running or not
+	 *
+	 * @returns {boolean}
+	 */
+	isOn() {
+		return this._animationReq !== undefined;
+	}
 
-/**
- * Select gradient
- *
- * @param {string} [name] name of a built-in or previously registered gradient
- */
-export function setGradient( name = defaults.gradient ) {
-	gradient = name;
-}
+	/**
+	 * Set dimensions of analyzer's canvas
+	 *
+	 * @param {number} [w] width in pixels
+	 * @param {number} [h] height in pixels
+	 */
+	setCanvasSize( w = this._container.clientWidth || defaults.width, h = this._container.clientHeight || defaults.height ) {
+		this.width = w;
+		this.height = h;
+		this._setCanvas('user');
+	}
 
-/**
- * Toggle peaks on/off
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function togglePeaks( value ) {
-	return showPeaks = value === undefined ? ! showPeaks : value;
-}
+	/**
+	 * Set callback function for canvas draw
+	 *
+	 * When drawing is done by a worker (see the `useWorker` option) the callback still runs on the main thread, but it receives
+	 * an object with the canvas `width` and `height` and a recording context, whose drawing commands are replayed by the worker.
+	 *
+	 * @param {function} [func] if undefined or not a function, clears any previously set function
+	 */
+	setCanvasDrawCallback( func ) {
+		if ( typeof func == 'function' )
+			this._drawCallback = func;
+		else
+			this._drawCallback = undefined;
+	}
 
-/**
- * Toggle background color on/off
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleBgColor( value ) {
-	return showBgColor = value === undefined ? ! showBgColor : value;
-}
+	/**
+	 * Set a custom renderer
+	 *
+	 * By default, the analyzer is drawn on its canvas by the built-in Canvas 2D renderer. A custom renderer receives a data frame
+	 * on every animation frame instead, and nothing is drawn on the canvas - this allows drawing the analyzer by other means,
+	 * or taking snapshots of its output. The data frame has the following properties:
+	 *
+	 * timestamp - time of the frame, in milliseconds (same time base as performance.now())
+	 * mode, width, height - current visualization mode and canvas dimensions
+	 * channels - one object for each channel, with the bars height limit in `maxHeight` (in pixels) and a `bars` array.
+	 * Each bar has `posX`, `width`, `freq` and `channel` properties; `level` (0 to 1), `db` (level in dB, or in dBFS for the
+	 * level meters), `height` and `peak` (in pixels), and `color` and `peakColor` taken from the current gradient. Modes which don't display bars (oscilloscope, spectrogram
+	 * and goniometer) have no channels.
+	 *
+	 * Custom renderers always run on the main thread, so setting one stops any worker used for drawing (see the `useWorker` option).
+	 *
+	 * @param {function|object} [renderer] function to be called with each data frame, or an object with a `render( frame )` method;
+	 *                                     if undefined, restores the Canvas 2D renderer
+	 */
+	setRenderer( renderer ) {
+		if ( typeof renderer == 'function' )
+			this._renderer = renderer;
+		else if ( renderer && typeof renderer.render == 'function' )
+			this._renderer = frame => renderer.render( frame );
+		else
+			this._renderer = undefined;
 
-/**
- * Toggle FPS display
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleFPS( value ) {
-	return showFPS = value === undefined ? ! showFPS : value;
-}
+		if ( this._renderer && this._worker )
+			this._stopWorker();
+	}
 
-/**
- * Toggle LED effect on/off
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleLeds( value ) {
-	return showLeds = value === undefined ? ! showLeds : value;
-}
+	/**
+	 * Set callback function for canvas resize
+	 *
+	 * @param {function} [func] if undefined or not a function, clears any previously set function
+	 */
+	setCanvasResizeCallback( func ) {
+		if ( typeof func == 'function' )
+			this._canvasResizeCallback = func;
+		else
+			this._canvasResizeCallback = undefined;
+	}
 
-/**
- * Toggle scale on/off
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleScale ( value ) {
-	return showScale = value === undefined ? ! showScale : value;
-}
+	/**
+	 * Set callback function for beat detection
+	 *
+	 * The function receives an object with the properties `band` (name of the frequency band where the beat was detected),
+	 * `strength` (dB above the band's average energy) and `bpm` (current tempo estimate, or zero if not available yet).
+	 * Beat detection is only performed while a callback is set.
+	 *
+	 * @param {function} [func] if undefined or not a function, clears any previously set function
+	 */
+	setBeatCallback( func ) {
+		if ( typeof func == 'function' )
+			this._beatCallback = func;
+		else
+			this._beatCallback = undefined;
+	}
 
-/**
- * Toggle low-resolution mode on/off
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleLoRes ( value ) {
-	loRes = value === undefined ? ! loRes : value;
-	setCanvas('lores');
-	return loRes;
-}
+	/**
+	 * Set beat detection options
+	 *
+	 * @param {object} [bands] frequency bands to monitor, as { name: [ minFreq, maxFreq ], ... } - tempo is estimated from the first band
+	 * @param {number} [threshold] energy increase over the band's average, in dB, required to detect a beat
+	 */
+	setBeatOptions( bands = this.beatBands, threshold = this.beatThreshold ) {
+		this.beatBands = bands;
+		this.beatThreshold = threshold;
+		this._beatState = {};
+		this.bpm = 0;
+	}
 
-/**
- * Adjust the analyzer's sensitivity
- *
- * @param {number} [min] min decibels value
- * @param {number} [max] max decibels value
- */
-export function setSensitivity( min = defaults.minDb, max = defaults.maxDb ) {
-	analyzer.minDecibels = Math.min( min, max );
-	analyzer.maxDecibels = Math.max( min, max );
-}
+	/**
+	 * Set visualization mode
+	 *
+	 * @param {number} [value] 0 = discrete frequencies; 1, 2, 4, 8, 12 or 24 = octave bands (1/24th-octave to full-octave);
+	 *                         30 = oscilloscope; 31 = spectrogram; 32 = level meters; 33 = goniometer
+	 */
+	setMode( value = defaults.mode ) {
+		var wasMeters = ( this.mode == MODE_METERS );
+
+		this.mode = Number( value );
+		this._connectLevelNodes();
+
+		// in stereo mode the channel height changes when switching to or from the level meters
+		if ( this.stereo && wasMeters != ( this.mode == MODE_METERS ) )
+			this._setCanvas('mode');
+		else {
+			this._preCalcPosX();
+			// level thresholds are placed according to the meters scale in that mode
+			if ( wasMeters != ( this.mode == MODE_METERS ) )
+				this._generateGradients();
+		}
+	}
 
-/**
- * Shorthand to setting several options at once
- *
- * @param {object} options
- */
-export function setOptions( options ) {
+	/**
+	 * Set the size of the FFT performed by the analyzer node
+	 *
+	 * @param {number} [value]
+	 */
+	setFFTSize( value = defaults.fftSize ) {
+		this.analyzer.fftSize = value;
+		this.dataArray = new Uint8Array( this.analyzer.frequencyBinCount );
+		this._syncChannelAnalyzers();
+		this._preCalcPosX();
+	}
+
+	/**
+	 * Set desired frequency range
+	 *
+	 * @param {number} [min] lowest frequency represented in the x-axis
+	 * @param {number} [max] highest frequency represented in the x-axis
+	 */
+	setFreqRange( min = defaults.minFreq, max = defaults.maxFreq ) {
+		this.minFreq = Math.min( min, max );
+		this.maxFreq = Math.max( min, max );
+		this._preCalcPosX();
+	}
+
+	/**
+	 * Set the frequency scale used for the x-axis
+	 *
+	 * @param {string} [value] 'log' (logarithmic), 'linear', 'bark' or 'mel'
+	 */
+	setFreqScale( value = defaults.frequencyScale ) {
+		this.frequencyScale = value;
+		this._preCalcPosX();
+	}
 
-	if ( options.mode !== undefined )
-		mode = Number( options.mode );
+	/**
+	 * Set the standard used to generate the center frequencies in the octave bands modes
+	 *
+	 * @param {string} [value] 'tempered' (equal-tempered musical scale), 'base10' or 'base2' (ISO 266 / ANSI S1.11 bands)
+	 */
+	setBandStandard( value = defaults.bandStandard ) {
+		this.bandStandard = value;
+		this._preCalcPosX();
+	}
 
-	if ( options.minFreq !== undefined )
-		minFreq = options.minFreq;
+	/**
+	 * Set the analyzer's smoothing time constant
+	 *
+	 * @param {number} [value] float value from 0 to 1
+	 */
+	setSmoothing( value = defaults.smoothing ) {
+		this.analyzer.smoothingTimeConstant = value;
+		this._syncChannelAnalyzers();
+	}
 
-	if ( options.maxFreq !== undefined )
-		maxFreq = options.maxFreq;
+	/**
+	 * Select gradient
+	 *
+	 * @param {string} [name] name of a built-in or previously registered gradient
+	 */
+	setGradient( name = defaults.gradient ) {
+		this.gradient = name;
+		this._syncWorker();
+	}
 
-	if ( options.gradient !== undefined )
-		gradient = options.gradient;
+	/**
+	 * Toggle peaks on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	togglePeaks( value ) {
+		this.showPeaks = value === undefined ? ! this.showPeaks : value;
+		this._syncWorker();
+		return this.showPeaks;
+	}
 
-	if ( options.showBgColor !== undefined )
-		showBgColor = options.showBgColor;
+	/**
+	 * Set peaks behavior
+	 *
+	 * Timing is independent of the frame rate.
+	 *
+	 * @param {number} [holdTime] time in milliseconds a peak is held before it starts falling
+	 * @param {string} [fallMode] 'gravity' - peaks fall with constant acceleration; 'linear' - peaks fall at constant speed;
+	 *                            'hold' - peaks never fall, until resetPeaks() is called
+	 * @param {number} [fallTime] time in milliseconds a peak takes to fall from the top to the bottom of the bar
+	 */
+	setPeakOptions( holdTime = this.peakHoldTime, fallMode = this.peakFallMode, fallTime = this.peakFallTime ) {
+		this.peakHoldTime = holdTime;
+		this.peakFallMode = fallMode;
+		this.peakFallTime = fallTime;
+		this._syncWorker();
+	}
 
-	if ( options.showLeds !== undefined )
-		showLeds = options.showLeds;
+	/**
+	 * Clear all peaks - especially useful with the 'hold' fall mode
+	 */
+	resetPeaks() {
+		if ( this._worker ) {
+			this._worker.postMessage( { type: 'resetPeaks' } );
+			return;
+		}
 
-	if ( options.showScale !== undefined )
-		showScale = options.showScale;
+		this._analyzerBars.forEach( bar => {
+			bar.peak = [0,0];
+			bar.hold = [0,0];
+			bar.speed = [0,0];
+		});
+	}
 
-	if ( options.minDb !== undefined )
-		analyzer.minDecibels = options.minDb;
+	/**
+	 * Toggle background color on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleBgColor( value ) {
+		this.showBgColor = value === undefined ? ! this.showBgColor : value;
+		this._syncWorker();
+		return this.showBgColor;
+	}
 
-	if ( options.maxDb !== undefined )
-		analyzer.maxDecibels = options.maxDb;
+	/**
+	 * Toggle FPS display
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleFPS( value ) {
+		this.showFPS = value === undefined ? ! this.showFPS : value;
+		this._syncWorker();
+		return this.showFPS;
+	}
 
-	if ( options.showPeaks !== undefined )
-		showPeaks = options.showPeaks;
+	/**
+	 * Toggle tuner overlay on/off
+	 *
+	 * The tuner detects the dominant pitch of the input signal and shows the closest note name and its deviation in cents.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleTuner( value ) {
+		this.showTuner = value === undefined ? ! this.showTuner : value;
+		this._syncWorker();
+		return this.showTuner;
+	}
 
-	if ( options.showFPS !== undefined )
-		showFPS = options.showFPS;
+	/**
+	 * Toggle loudness meter on/off
+	 *
+	 * The meter follows EBU R128 / ITU-R BS.1770 and is drawn as a side meter over the right edge of the canvas.
+	 * Measurements are only performed while the meter is on and the analyzer is running.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleLoudness( value ) {
+		this.showLoudness = value === undefined ? ! this.showLoudness : value;
+		if ( this.showLoudness )
+			this.resetLoudness();
+		this._connectLevelNodes();
+		this._syncWorker();
+		return this.showLoudness;
+	}
 
-	if ( options.loRes !== undefined )
-		loRes = options.loRes;
+	/**
+	 * Toggle level meters side panel on/off
+	 *
+	 * The panel shows VU or PPM meters for the left and right channels over the left edge of the canvas.
+	 * Level meters can also be displayed as a visualization mode - see setMode()
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleMeters( value ) {
+		this.showMeters = value === undefined ? ! this.showMeters : value;
+		this._connectLevelNodes();
+		this._syncWorker();
+		return this.showMeters;
+	}
 
-	if ( options.fftSize !== undefined )
-		analyzer.fftSize = options.fftSize;
+	/**
+	 * Set level meters options
+	 *
+	 * VU meters show the RMS level with 300ms integration time, on a scale from -20 to +3 VU.
+	 * PPM (peak programme meters) show the peak level with fast attack and slow return (24 dB in 2.8 seconds), from -40 dB up to digital full scale.
+	 *
+	 * @param {string} [type] 'vu' or 'ppm'
+	 * @param {number} [reference] level in dBFS which corresponds to the meters 0 mark
+	 */
+	setMeterOptions( type = this.meterType, reference = this.meterReference ) {
+		this.meterType = type;
+		this.meterReference = reference;
+		this._generateGradients(); // update level thresholds
+	}
 
-	if ( options.smoothing !== undefined )
-		analyzer.smoothingTimeConstant = options.smoothing;
+	/**
+	 * Set goniometer options
+	 *
+	 * @param {number} [persistence] how long the trace remains visible, from 0 (no trail) to 1 (never fades)
+	 * @param {number} [zoom] scale factor applied to the trace - values greater than 1 help visualizing low level signals
+	 */
+	setGoniometerOptions( persistence = this.goniometerPersistence, zoom = this.goniometerZoom ) {
+		this.goniometerPersistence = Math.max( 0, Math.min( 1, persistence ) );
+		this.goniometerZoom = Math.max( 1, zoom );
+		this._syncWorker();
+	}
 
-	if ( typeof options.onCanvasDraw == 'function' )
-		drawCallback = options.onCanvasDraw;
+	/**
+	 * Reset level meters and clip indicators
+	 */
+	resetMeters() {
+		this._meters = {
+			vu  : [ 0, 0 ],	// mean square
+			ppm : [ -Infinity, -Infinity ], // dBFS
+			clip: [ 0, 0 ],	// time of the last clipped sample, in milliseconds
+			time: this.audioCtx.currentTime
+		};
+	}
 
-	if ( typeof options.onCanvasResize == 'function' )
-		canvasResizeCallback = options.onCanvasDraw;
+	/**
+	 * Get current loudness measurements
+	 *
+	 * Values not available yet (or below the gating thresholds) are returned as -Infinity.
+	 *
+	 * @returns {object} { momentary, shortTerm, integrated } in LUFS, { range } in LU and { truePeak } in dBTP
+	 */
+	getLoudness() {
+		var state = this._loudness || {};
+
+		return {
+			momentary : state.momentary  === undefined ? -Infinity : state.momentary,
+			shortTerm : state.shortTerm  === undefined ? -Infinity : state.shortTerm,
+			integrated: state.integrated === undefined ? -Infinity : state.integrated,
+			range     : state.range      === undefined ? -Infinity : state.range,
+			truePeak  : state.truePeak   === undefined ? -Infinity : 20 * Math.log10( state.truePeak )
+		};
+	}
 
-	if ( options.width !== undefined )
-		width = options.width;
+	/**
+	 * Reset loudness measurements (integrated loudness, loudness range and true-peak are measured since the last reset)
+	 */
+	resetLoudness() {
+		this._loudness = {
+			subBlocks : [],	// energy of the last 30 100ms sub-blocks (3 seconds)
+			energy    : 0,	// sum of squares of the current sub-block, for all channels
+			samples   : 0,	// number of samples in the current sub-block
+			sampleTime: Math.round( this.audioCtx.currentTime * this.audioCtx.sampleRate ), // position of the last sample read
+			// histograms and running sums of the blocks above the absolute gate, for integrated loudness and loudness range
+			blocks    : { histogram: new Uint32Array( LOUDNESS_BINS ), sum: 0, count: 0 },
+			shortTermBlocks: { histogram: new Uint32Array( LOUDNESS_BINS ), sum: 0, count: 0 },
+			momentary : -Infinity,
+			shortTerm : -Infinity,
+			integrated: -Infinity,
+			range     : -Infinity,
+			truePeak  : 0,
+			peakTime  : this.audioCtx.currentTime
+		};
+	}
 
-	if ( options.height !== undefined )
-		height = options.height;
+	/**
+	 * Get an image of the current frame, at full canvas resolution
+	 *
+	 * @param {string} [type] image format
+	 * @returns {Promise} resolves to a Blob with the image
+	 */
+	getCanvasImage( type = 'image/png' ) {
+		if ( this._worker )
+			return this._workerRequest( { type: 'image', format: type } );
+
+		return new Promise( resolve => this.canvas.toBlob( resolve, type ) );
+	}
 
-	dataArray = new Uint8Array( analyzer.frequencyBinCount );
+	/**
+	 * Get the levels of the analyzer bars in the current frame
+	 *
+	 * Each element of the resulting array has the properties `channel`, `freq` (bar center frequency, in Hz), `level` and `peak`
+	 * (in dB, with the weighting filter applied, or in dBFS for the level meters). Levels below the bottom of the scale are -Infinity.
+	 * Modes which don't display bars return an empty array.
+	 *
+	 * @returns {Promise} resolves to an array of objects, one for each bar
+	 */
+	getSpectrumData() {
+		if ( this._worker )
+			return this._workerRequest( { type: 'spectrum' } );
+
+		return Promise.resolve( this._getSpectrumData() );
+	}
 
-	setCanvas('user');
-}
+	/**
+	 * Toggle oscilloscope overlay on/off
+	 *
+	 * When on, the waveform is drawn over the spectrum bars. Has no effect in oscilloscope mode.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleScope( value ) {
+		this.showScope = value === undefined ? ! this.showScope : value;
+		this._syncWorker();
+		return this.showScope;
+	}
 
-/**
- * Registers a custom gradient
- *
- * @param {string} name
- * @param {object} options
- */
-export function registerGradient( name, options ) {
-	if ( typeof options !== 'object' )
-		throw 'Custom gradient options must be an object';
+	/**
+	 * Set oscilloscope options
+	 *
+	 * @param {number} [lineWidth] line width in pixels
+	 * @param {boolean} [trigger] if true, the waveform starts on a rising zero-crossing, for a stable picture
+	 */
+	setScopeOptions( lineWidth = this.scopeLineWidth, trigger = this.scopeTrigger ) {
+		this.scopeLineWidth = lineWidth;
+		this.scopeTrigger = trigger;
+		this._syncWorker();
+	}
 
-	if ( options.colorStops === undefined || options.colorStops.length < 2 )
-		throw 'Custom gradient must define at least two colors!';
+	/**
+	 * Set spectrogram options
+	 *
+	 * @param {string} [direction] direction in which the spectrogram scrolls - 'up' or 'down' keep the frequency scale on the X-axis,
+	 *                             'left' or 'right' place it on the Y-axis
+	 * @param {number} [speed] scroll speed, in pixels per second
+	 */
+	setSpectrogramOptions( direction = this.spectrogramDir, speed = this.spectrogramSpeed ) {
+		if ( direction != this.spectrogramDir && this._specCtx )
+			this._specCtx.clearRect( 0, 0, this._specCanvas.width, this._specCanvas.height ); // history can't be rotated, so start over
+
+		this.spectrogramDir = direction;
+		this.spectrogramSpeed = speed;
+		this._syncWorker();
+	}
 
-	gradients[ name ] = {};
+	/**
+	 * Toggle LED effect on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleLeds( value ) {
+		this.showLeds = value === undefined ? ! this.showLeds : value;
+		this._syncWorker();
+		return this.showLeds;
+	}
 
-	if ( options.bgColor !== undefined )
-		gradients[ name ].bgColor = options.bgColor;
-	else
-		gradients[ name ].bgColor = '#111';
+	/**
+	 * Set the LED effect geometry
+	 *
+	 * By default, the number of LEDs and the gaps between them are chosen according to the visualization mode and canvas size -
+	 * a null value keeps the automatic setting for that parameter.
+	 *
+	 * @param {number} [count] number of LEDs in each bar
+	 * @param {number} [gapH] horizontal gap between LED columns, in pixels
+	 * @param {number} [gapV] vertical gap between LEDs, in pixels
+	 * @param {number} [radius] radius of the LEDs rounded corners, in pixels (0 for square corners)
+	 * @param {boolean} [unlit] true to display unlit LEDs dimmed, like real hardware; false to leave them invisible
+	 */
+	setLedOptions( count = this.ledCount, gapH = this.ledGapH, gapV = this.ledGapV, radius = this.ledRadius, unlit = this.ledUnlit ) {
+		this.ledCount = count;
+		this.ledGapH = gapH;
+		this.ledGapV = gapV;
+		this.ledRadius = radius;
+		this.ledUnlit = unlit;
+		this._preCalcPosX();
+	}
 
-	if ( options.dir !== undefined )
-		gradients[ name ].dir = options.dir;
+	/**
+	 * Toggle scale on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleScale ( value ) {
+		this.showScale = value === undefined ? ! this.showScale : value;
+		this._syncWorker();
+		return this.showScale;
+	}
 
-	gradients[ name ].colorStops = options.colorStops;
+	/**
+	 * Toggle musical note labels on/off
+	 *
+	 * When on, the frequency scale shows the C notes of each octave (C1, C2, ...), instead of frequency values.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleNoteLabels( value ) {
+		this.noteLabels = value === undefined ? ! this.noteLabels : value;
+		this._preCalcPosX();
+		return this.noteLabels;
+	}
 
-	generateGradients();
-}
+	/**
+	 * Toggle the level (dB) graticule on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleDbScale( value ) {
+		this.showDbScale = value === undefined ? ! this.showDbScale : value;
+		this._syncWorker();
+		return this.showDbScale;
+	}
 
-/**
- * Pre-calculate the actual X-coordinate on screen for each analyzer bar
- *
- * Since the frequency scale is logarithmic, each position in the X-axis actually represents a power of 10.
- * To improve performace, the position of each frequency is calculated in advance and stored in an array.
- * Canvas space usage is optimized to accommodate exactly the frequency range the user needs.
- * Positions need to be recalculated whenever the frequency range, FFT size or canvas size change.
- *
- *                              +-------------------------- canvas --------------------------+
- *                              |                                                            |
- *    |-------------------|-----|-------------|-------------------!-------------------|------|------------|
- *    1                  10     |            100                  1K                 10K     |           100K (Hz)
- * (10^0)              (10^1)   |          (10^2)               (10^3)              (10^4)   |          (10^5)
- *                              |-------------|<--- bandWidth --->|--------------------------|
- *                  minFreq--> 20                   (pixels)                                22K <--maxFreq
- *                          (10^1.3)                                                     (10^4.34)
- *                           minLog
- */
-function preCalcPosX() {
+	/**
+	 * Toggle the use of float frequency data
+	 *
+	 * When on, bar levels are computed from the dB values returned by getFloatFrequencyData(), instead of the 8-bit values
+	 * returned by getByteFrequencyData().
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleFloatData( value ) {
+		this.useFloatData = value === undefined ? ! this.useFloatData : value;
+		this._syncWorker();
+		return this.useFloatData;
+	}
 
-	var i, freq,
-		minLog = Math.log10( minFreq ),
-		bandWidth = canvas.width / ( Math.log10( maxFreq ) - minLog );
+	/**
+	 * Toggle linear amplitude rendering on/off
+	 *
+	 * When off (default), bar heights are proportional to the dB level between minDecibels and maxDecibels;
+	 * when on, bar heights are proportional to the linear amplitude, relative to maxDecibels.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleLinearAmplitude( value ) {
+		this.linearAmplitude = value === undefined ? ! this.linearAmplitude : value;
+		this._generateGradients(); // update level thresholds
+		return this.linearAmplitude;
+	}
 
-	analyzerBars = [];
+	/**
+	 * Toggle low-resolution mode on/off
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleLoRes ( value ) {
+		this.loRes = value === undefined ? ! this.loRes : value;
+		this._setCanvas('lores');
+		return this.loRes;
+	}
 
-	if ( mode == 0 ) { // discrete frequencies mode
-		barWidth = 1;
+	/**
+	 * Toggle stereo (dual channel) mode on/off
+	 *
+	 * In stereo mode the left and right channels are analyzed separately and drawn on the upper and lower halves of the canvas.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleStereo( value ) {
+		this._connectStereo( value === undefined ? ! this.stereo : value );
+		this._setCanvas('stereo');
+		return this.stereo;
+	}
 
- 		var pos,
- 			lastPos = -1,
-			minIndex = Math.floor( minFreq * analyzer.fftSize / audioCtx.sampleRate ),
-		    maxIndex = Math.min( Math.round( maxFreq * analyzer.fftSize / audioCtx.sampleRate ), analyzer.frequencyBinCount - 1 );
+	/**
+	 * Set the layout of the channels in stereo mode
+	 *
+	 * @param {string} [value] 'stacked' - both channels grow upwards, left channel on top;
+	 *                         'mirrored' - left channel grows upwards and right channel downwards, from the horizontal center line
+	 */
+	setStereoLayout( value = defaults.stereoLayout ) {
+		this.stereoLayout = value;
+		this._syncWorker();
+	}
 
-		for ( i = minIndex; i <= maxIndex; i++ ) {
-			freq = i * audioCtx.sampleRate / analyzer.fftSize; // frequency represented in this bin
-			pos = Math.round( bandWidth * ( Math.log10( freq ) - minLog ) ); // avoid fractionary pixel values
+	/**
+	 * Set the spacing between bars in the octave bands modes
+	 *
+	 * @param {number} [value] portion of each bar's slot left as space, from 0 (bars are separated by a single pixel) to less than 1
+	 */
+	setBarSpace( value = defaults.barSpace ) {
+		this.barSpace = Math.max( 0, Math.min( .95, value ) );
+		this._preCalcPosX();
+	}
 
-			// if it's on a different X-coordinate, create a new bar for this frequency
-			if ( pos > lastPos ) {
-				analyzerBars.push( { posX: pos, dataIdx: i, endIdx: 0, average: false, peak: 0, hold: 0, accel: 0 } );
-				lastPos = pos;
-			} // otherwise, add this frequency to the last bar's range
-			else if ( analyzerBars.length )
-				analyzerBars[ analyzerBars.length - 1 ].endIdx = i;
-		}
+	/**
+	 * Toggle mirrored layout on/off
+	 *
+	 * In the mirrored layout the bars are symmetric around the horizontal center of each channel, extending both upwards
+	 * and downwards. It takes precedence over the reflex effect. Not to be confused with the mirrored stereo layout
+	 * (see setStereoLayout()), which can be combined with it.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleMirror( value ) {
+		this.mirror = value === undefined ? ! this.mirror : value;
+		this._syncWorker();
+		return this.mirror;
 	}
-	else { // octave bands modes
 
-		// calculates the best attributes for the LEDs effect, based on the visualization mode and canvas resolution
-		var spaceV;
+	/**
+	 * Set the reflex effect options - a reflection of the bars, drawn under their base
+	 *
+	 * @param {number} [ratio] portion of the channel height used by the reflection, from 0 (no reflection) to less than 1
+	 * @param {number} [alpha] opacity of the reflection, from 0 to 1
+	 */
+	setReflexOptions( ratio = this.reflexRatio, alpha = this.reflexAlpha ) {
+		this.reflexRatio = Math.max( 0, Math.min( .9, ratio ) );
+		this.reflexAlpha = Math.max( 0, Math.min( 1, alpha ) );
+		this._syncWorker();
+	}
 
-		switch ( mode ) {
-			case 24:
-				spaceV = Math.min( 16, canvas.height / ( 33 * pixelRatio ) | 0 );
-				ledOptions = {
-					nLeds: 24,
-					spaceH: Math.min( 24, canvas.width / ( 40 * pixelRatio ) | 0 )
-				};
-				break;
+	/**
+	 * Toggle radial mode on/off
+	 *
+	 * In radial mode the frequency axis wraps around a circle and the bars extend outwards from the inner radius.
+	 * In stereo mode, the right channel bars extend inwards, towards the center of the canvas.
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleRadial( value ) {
+		this.radial = value === undefined ? ! this.radial : value;
+		this._syncWorker();
+		return this.radial;
+	}
 
-			case 12:
-				spaceV = Math.min( 8, canvas.height / ( 67 * pixelRatio ) | 0 );
-				ledOptions = {
-					nLeds: 48,
-					spaceH: Math.min( 16, canvas.width / ( 60 * pixelRatio ) | 0 )
-				};
-				break;
+	/**
+	 * Set the inner radius for radial mode
+	 *
+	 * @param {number} [value] float value from 0 to 1, relative to the maximum radius that fits the canvas
+	 */
+	setInnerRadius( value = defaults.innerRadius ) {
+		this.innerRadius = Math.max( 0, Math.min( 1, value ) );
+		this._generateGradients();
+	}
 
-			case  8:
-				spaceV = Math.min( 6, canvas.height / ( 90 * pixelRatio ) | 0 );
-				ledOptions = {
-					nLeds: 64,
-					spaceH: Math.min( 10, canvas.width / ( 96 * pixelRatio ) | 0 )
-				};
-				break;
+	/**
+	 * Adjust the analyzer's sensitivity
+	 *
+	 * @param {number} [min] min decibels value
+	 * @param {number} [max] max decibels value
+	 */
+	setSensitivity( min = defaults.minDb, max = defaults.maxDb ) {
+		this.analyzer.minDecibels = Math.min( min, max );
+		this.analyzer.maxDecibels = Math.max( min, max );
+		this._syncChannelAnalyzers();
+		this._generateGradients(); // update level thresholds
+	}
 
-			case  4:
-				spaceV = Math.min( 6, canvas.height / ( 90 * pixelRatio ) | 0 );
-				ledOptions = {
-					nLeds: 80,
-					spaceH: Math.min( 8, canvas.width / ( 120 * pixelRatio ) | 0 )
-				};
-				break;
+	/**
+	 * Select the frequency weighting filter applied to the bars levels
+	 *
+	 * @param {string} [value] 'A', 'B', 'C', 'D', '468' (ITU-R 468) or '' (none)
+	 */
+	setWeightingFilter( value = defaults.weightingFilter ) {
+		this.weightingFilter = value;
+		this._preCalcPosX();
+	}
 
-			case  2:
-				spaceV = Math.min( 4, canvas.height / ( 135 * pixelRatio ) | 0 );
-				ledOptions = {
-					nLeds: 128,
-					spaceH: Math.min( 4, canvas.width / ( 240 * pixelRatio ) | 0 )
-				};
-				break;
+	/**
+	 * Shorthand to setting several options at once
+	 *
+	 * @param {object} options
+	 */
+	setOptions( options ) {
 
-			default:
-				spaceV = Math.min( 3, Math.max( 2, canvas.height / ( 180 * pixelRatio ) | 0 ) );
-				ledOptions = {
-					nLeds: 128,
-					spaceH: Math.min( 4, canvas.width / ( 320 * pixelRatio ) | 0 )
-				};
-		}
+		if ( options.mode !== undefined )
+			this.mode = Number( options.mode );
 
-		ledOptions.spaceH *= pixelRatio;
-		ledOptions.spaceV = spaceV * pixelRatio;
-		ledOptions.nLeds = Math.min( ledOptions.nLeds, canvas.height / ( ledOptions.spaceV * 2 ) | 0 );
-		ledOptions.ledHeight = canvas.height / ledOptions.nLeds - ledOptions.spaceV;
+		if ( options.minFreq !== undefined )
+			this.minFreq = options.minFreq;
 
-		// generate a table of frequencies based on the equal tempered scale
-		var root24 = 2 ** ( 1 / 24 ); // for 1/24th-octave bands
-		var c0 = 440 * root24 ** -114;
-		var temperedScale = [];
-		var prevBin = 0;
+		if ( options.maxFreq !== undefined )
+			this.maxFreq = options.maxFreq;
 
-		i = 0;
-		while ( ( freq = c0 * root24 ** i ) <= maxFreq ) {
-			if ( freq >= minFreq && i % mode == 0 )
-				temperedScale.push( freq );
-			i++;
-		}
+		if ( options.frequencyScale !== undefined )
+			this.frequencyScale = options.frequencyScale;
 
-		// divide canvas space by the number of frequencies to display, allowing at least one pixel between bars
-		barWidth = Math.floor( canvas.width / temperedScale.length ) - 1;
+		if ( options.bandStandard !== undefined )
+			this.bandStandard = options.bandStandard;
 
-		// the space remaining from the integer division is split equally among the bars as separator
-		var barSpace = ( canvas.width - barWidth * temperedScale.length ) / ( temperedScale.length - 1 );
+		if ( options.gradient !== undefined )
+			this.gradient = options.gradient;
 
-		ledsMask.width |= 0; // clear LEDs mask canvas
+		if ( options.showBgColor !== undefined )
+			this.showBgColor = options.showBgColor;
 
-		temperedScale.forEach( function( freq, index ) {
-			// which FFT bin represents this frequency?
-			var bin = Math.round( freq * analyzer.fftSize / audioCtx.sampleRate );
+		if ( options.showLeds !== undefined )
+			this.showLeds = options.showLeds;
 
-			var idx, nextBin, avg = false;
-			// start from the last used FFT bin
-			if ( prevBin > 0 && prevBin + 1 <= bin )
-				idx = prevBin + 1;
-			else
-				idx = bin;
-
-			prevBin = nextBin = bin;
-			// check if there's another band after this one
-			if ( temperedScale[ index + 1 ] !== undefined ) {
-				nextBin = Math.round( temperedScale[ index + 1 ] * analyzer.fftSize / audioCtx.sampleRate );
-				// and use half the bins in between for this band
-				if ( nextBin - bin > 1 )
-					prevBin += Math.round( ( nextBin - bin ) / 2 );
-				else if ( nextBin - bin == 1 ) {
-				// for low frequencies the FFT may not provide as many coefficients as we need, so more than one band will use the same FFT data
-				// in these cases, we set a flag to perform an average to smooth the transition between adjacent bands
-					if ( analyzerBars.length > 0 && idx == analyzerBars[ analyzerBars.length - 1 ].dataIdx ) {
-						avg = true;
-						prevBin += Math.round( ( nextBin - bin ) / 2 );
-					}
-				}
-			}
+		[ 'ledCount', 'ledGapH', 'ledGapV', 'ledRadius', 'ledUnlit' ].forEach( key => {
+			if ( options[ key ] !== undefined )
+				this[ key ] = options[ key ];
+		});
 
-			analyzerBars.push( {
-				posX: index * ( barWidth + barSpace ),
-				dataIdx: idx,
-				endIdx: prevBin - idx > 0 ? prevBin : 0,
-				average: avg,
-				peak: 0,
-				hold: 0,
-				accel: 0
-			} );
-
-			// adds a vertical black line to the left of this bar in the mask canvas, to separate the LED columns
-			ledsCtx.fillRect( analyzerBars[ analyzerBars.length - 1 ].posX - ledOptions.spaceH / 2, 0, ledOptions.spaceH, canvas.height );
-
-		} );
-	}
-
-	if ( mode > 0 ) {
-		// adds a vertical black line in the mask canvas after the last led column
-		ledsCtx.fillRect( analyzerBars[ analyzerBars.length - 1 ].posX + barWidth - ledOptions.spaceH / 2 + ( mode < 8 ? 2 : 1 ), 0, ledOptions.spaceH, canvas.height );
-
-		// adds horizontal black lines in the mask canvas, to separate the LED rows
-		for ( i = ledOptions.ledHeight; i < canvas.height; i += ledOptions.ledHeight + ledOptions.spaceV )
-			ledsCtx.fillRect( 0, i, canvas.width, ledOptions.spaceV );
-	}
-
-	// calculate the position of the labels (octaves center frequencies) for the X-axis scale
-	freqLabels = [
-		{ freq: 16 },
-		{ freq: 31 },
-		{ freq: 63 },
-		{ freq: 125 },
-		{ freq: 250 },
-		{ freq: 500 },
-		{ freq: 1000 },
-		{ freq: 2000 },
-		{ freq: 4000 },
-		{ freq: 8000 },
-		{ freq: 16000 }
-	];
-
-	freqLabels.forEach( label => {
-		label.posX = bandWidth * ( Math.log10( label.freq ) - minLog );
-		if ( label.freq >= 1000 )
-			label.freq = ( label.freq / 1000 ) + 'k';
-	});
-}
+		if ( options.showScale !== undefined )
+			this.showScale = options.showScale;
 
-/**
- * Redraw the canvas
- * this is called 60 times per second by requestAnimationFrame()
- */
-function draw() {
+		if ( options.showDbScale !== undefined )
+			this.showDbScale = options.showDbScale;
 
-	var i, j, l, bar, barHeight, size,
-		isLedDisplay = ( showLeds && mode > 0 );
+		if ( options.noteLabels !== undefined )
+			this.noteLabels = options.noteLabels;
 
-	if ( ! showBgColor )	// use black background
-		canvasCtx.fillStyle = '#000';
-	else
-		if ( isLedDisplay )
-			canvasCtx.fillStyle = '#111';
-		else
-			canvasCtx.fillStyle = gradients[ gradient ].bgColor; // use background color defined by gradient
+		if ( options.showTuner !== undefined )
+			this.showTuner = options.showTuner;
 
-	// clear the canvas
-	canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+		if ( options.useFloatData !== undefined )
+			this.useFloatData = options.useFloatData;
 
-	// get a new array of data from the FFT
-	analyzer.getByteFrequencyData( dataArray );
+		if ( options.linearAmplitude !== undefined )
+			this.linearAmplitude = options.linearAmplitude;
 
-	l = analyzerBars.length;
-	for ( i = 0; i < l; i++ ) {
+		if ( options.weightingFilter !== undefined )
+			this.weightingFilter = options.weightingFilter;
 
-		bar = analyzerBars[ i ];
+		if ( options.minDb !== undefined )
+			this.analyzer.minDecibels = options.minDb;
 
-		if ( bar.endIdx == 0 ) 	// single FFT bin
-			barHeight = dataArray[ bar.dataIdx ];
-		else { 					// range of bins
-			barHeight = 0;
-			if ( bar.average ) {
-				// use the average value of the range
-				for ( j = bar.dataIdx; j <= bar.endIdx; j++ )
-					barHeight += dataArray[ j ];
-				barHeight = barHeight / ( bar.endIdx - bar.dataIdx + 1 );
-			}
-			else {
-				// use the highest value in the range
-				for ( j = bar.dataIdx; j <= bar.endIdx; j++ )
-					barHeight = Math.max( barHeight, dataArray[ j ] );
-			}
-		}
+		if ( options.maxDb !== undefined )
+			this.analyzer.maxDecibels = options.maxDb;
 
-		if ( isLedDisplay ) // normalize barHeight to match one of the "led" elements
-			barHeight = ( barHeight / 255 * ledOptions.nLeds | 0 ) * ( ledOptions.ledHeight + ledOptions.spaceV );
-		else
-			barHeight = barHeight / 255 * canvas.height | 0;
+		if ( options.showPeaks !== undefined )
+			this.showPeaks = options.showPeaks;
 
-		if ( barHeight >= bar.peak ) {
-			bar.peak = barHeight;
-			bar.hold = 30; // set peak hold time to 30 frames (0.5s)
-			bar.accel = 0;
-		}
+		if ( options.peakHoldTime !== undefined || options.peakFallMode !== undefined || options.peakFallTime !== undefined )
+			this.setPeakOptions( options.peakHoldTime, options.peakFallMode, options.peakFallTime );
 
-		canvasCtx.fillStyle = gradients[ gradient ].gradient;
-		if ( isLedDisplay )
-			canvasCtx.fillRect( bar.posX + ledOptions.spaceH / 2, canvas.height, barWidth, -barHeight );
-		else
-			canvasCtx.fillRect( bar.posX, canvas.height, barWidth, -barHeight );
+		if ( options.showFPS !== undefined )
+			this.showFPS = options.showFPS;
 
-		if ( bar.peak > 0 ) {
-			if ( showPeaks )
-				if ( isLedDisplay )
-					canvasCtx.fillRect( bar.posX + ledOptions.spaceH / 2, ( ledOptions.nLeds - ( bar.peak / canvas.height * ledOptions.nLeds | 0 ) ) * ( ledOptions.ledHeight + ledOptions.spaceV ), barWidth, ledOptions.ledHeight );
-				else
-					canvasCtx.fillRect( bar.posX, canvas.height - bar.peak, barWidth, 2 );
+		if ( options.loRes !== undefined )
+			this.loRes = options.loRes;
 
-			if ( bar.hold )
-				bar.hold--;
-			else {
-				bar.accel++;
-				bar.peak -= bar.accel;
-			}
-		}
-	}
+		if ( options.fftSize !== undefined )
+			this.analyzer.fftSize = options.fftSize;
 
-	if ( isLedDisplay ) // applies LEDs mask over the canvas
-		canvasCtx.drawImage( ledsMask, 0, 0 );
+		if ( options.smoothing !== undefined )
+			this.analyzer.smoothingTimeConstant = options.smoothing;
 
-	if ( showScale ) {
-		size = 5 * pixelRatio;
+		if ( options.stereo !== undefined )
+			this._connectStereo( options.stereo );
 
-		if ( isFullscreen() )
-			size *= 2;
+		if ( options.showLoudness !== undefined && options.showLoudness != this.showLoudness )
+			this.toggleLoudness( options.showLoudness );
 
-		canvasCtx.fillStyle = '#000c';
-		canvasCtx.fillRect( 0, canvas.height - size * 4, canvas.width, size * 4 );
+		if ( options.showMeters !== undefined )
+			this.showMeters = options.showMeters;
 
-		canvasCtx.fillStyle = '#fff';
-		canvasCtx.font = ( size * 2 ) + 'px sans-serif';
-		canvasCtx.textAlign = 'center';
+		if ( options.meterType !== undefined || options.meterReference !== undefined )
+			this.setMeterOptions( options.meterType, options.meterReference );
 
-		freqLabels.forEach( label => canvasCtx.fillText( label.freq, label.posX, canvas.height - size ) );
-	}
+		if ( options.goniometerPersistence !== undefined || options.goniometerZoom !== undefined )
+			this.setGoniometerOptions( options.goniometerPersistence, options.goniometerZoom );
 
-	frame++;
-	var now = performance.now();
-	var elapsed = now - time;
-	if ( elapsed >= 1000 ) {
-		fps = frame / ( elapsed / 1000 );
-		frame = 0;
-		time = now;
-	}
-	if ( showFPS ) {
-		size = 20 * pixelRatio;
-		canvasCtx.font = `bold ${size}px sans-serif`;
-		canvasCtx.fillStyle = '#0f0';
-		canvasCtx.textAlign = 'right';
-		canvasCtx.fillText( fps.toFixed(), canvas.width - size, size * 2 );
-	}
+		if ( options.loudnessTarget !== undefined )
+			this.loudnessTarget = options.loudnessTarget;
 
-	if ( drawCallback )
-		drawCallback( canvas, canvasCtx, pixelRatio );
+		if ( options.stereoLayout !== undefined )
+			this.stereoLayout = options.stereoLayout;
 
-	// schedule next canvas update
-	animationReq = requestAnimationFrame( draw );
-}
+		if ( options.barSpace !== undefined )
+			this.barSpace = Math.max( 0, Math.min( .95, options.barSpace ) );
 
-/**
- * Generate gradients
- */
-function generateGradients() {
-	var grad, i;
+		if ( options.mirror !== undefined )
+			this.mirror = options.mirror;
 
-	Object.keys( gradients ).forEach( function( key ) {
-		if ( gradients[ key ].dir && gradients[ key ].dir == 'h' )
-			grad = canvasCtx.createLinearGradient( 0, 0, canvas.width, 0 );
-		else
-			grad = canvasCtx.createLinearGradient( 0, 0, 0, canvas.height );
+		if ( options.reflexRatio !== undefined || options.reflexAlpha !== undefined )
+			this.setReflexOptions( options.reflexRatio, options.reflexAlpha );
 
-		if ( gradients[ key ].colorStops ) {
-			gradients[ key ].colorStops.forEach( ( colorInfo, index ) => {
-				if ( typeof colorInfo == 'object' )
-					grad.addColorStop( colorInfo.pos, colorInfo.color );
-				else
-					grad.addColorStop( index / ( gradients[ key ].colorStops.length - 1 ), colorInfo );
-			});
-		}
+		if ( options.radial !== undefined )
+			this.radial = options.radial;
 
-		gradients[ key ].gradient = grad; // save the generated gradient back into the gradients array
-	});
-}
+		if ( options.innerRadius !== undefined )
+			this.innerRadius = Math.max( 0, Math.min( 1, options.innerRadius ) );
 
+		if ( options.showScope !== undefined )
+			this.showScope = options.showScope;
 
-/**
- * Internal function to change canvas dimensions on the fly
- */
-function setCanvas( reason ) {
-	pixelRatio = window.devicePixelRatio; // for Retina / HiDPI devices
+		if ( options.scopeLineWidth !== undefined )
+			this.scopeLineWidth = options.scopeLineWidth;
 
-	if ( loRes )
-		pixelRatio /= 2;
+		if ( options.scopeTrigger !== undefined )
+			this.scopeTrigger = options.scopeTrigger;
 
-	fsWidth = Math.max( window.screen.width, window.screen.height ) * pixelRatio;
-	fsHeight = Math.min( window.screen.height, window.screen.width ) * pixelRatio;
+		if ( options.spectrogramDir !== undefined || options.spectrogramSpeed !== undefined )
+			this.setSpectrogramOptions( options.spectrogramDir, options.spectrogramSpeed );
 
-	if ( isFullscreen() ) {
-		canvas.width = fsWidth;
-		canvas.height = fsHeight;
-	}
-	else {
-		canvas.width = width * pixelRatio;
-		canvas.height = height * pixelRatio;
-	}
+		if ( typeof options.onCanvasDraw == 'function' )
+			this._drawCallback = options.onCanvasDraw;
 
-	// workaround for wrong dPR reported on Android TV
-	if ( pixelRatio == 2 && window.screen.height <= 540 )
-		pixelRatio = 1;
+		if ( typeof options.onCanvasResize == 'function' )
+			this._canvasResizeCallback = options.onCanvasResize;
 
-	// clear the canvas
-	canvasCtx.fillStyle = '#000';
-	canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+		if ( typeof options.onBeat == 'function' )
+			this._beatCallback = options.onBeat;
 
-	// (re)generate gradients
-	generateGradients();
+		if ( options.beatBands !== undefined || options.beatThreshold !== undefined )
+			this.setBeatOptions( options.beatBands, options.beatThreshold );
 
-	// create an auxiliary canvas for the LED effect mask
-	ledsMask = canvas.cloneNode();
-	ledsCtx = ledsMask.getContext('2d');
-	ledsCtx.fillStyle = '#000';
+		if ( options.width !== undefined )
+			this.width = options.width;
 
-	preCalcPosX();
+		if ( options.height !== undefined )
+			this.height = options.height;
 
-	if ( canvasResizeCallback )
-		canvasResizeCallback( reason, canvas.width, canvas.height, isFullscreen(), loRes, pixelRatio );
-}
+		this.dataArray = new Uint8Array( this.analyzer.frequencyBinCount );
+		this._syncChannelAnalyzers();
+		this._connectLevelNodes();
 
-/**
- * Toggles canvas full-screen mode
- */
-export function toggleFullscreen() {
-	if ( isFullscreen() ) {
-		if ( document.exitFullscreen )
-			document.exitFullscreen();
-		else if ( document.webkitExitFullscreen )
-			document.webkitExitFullscreen();
-	}
-	else {
-		if ( canvas.requestFullscreen )
-			canvas.requestFullscreen();
-		else if ( canvas.webkitRequestFullscreen )
-			canvas.webkitRequestFullscreen();
+		this._setCanvas('user');
 	}
-}
 
-/**
- * Connect HTML audio element to analyzer
- *
- * @param {object} element HTML audio element
- * @returns {object} a MediaElementAudioSourceNode object
- */
-export function connectAudio( element ) {
-	var audioSource = audioCtx.createMediaElementSource( element );
-	audioSource.connect( analyzer );
-	return audioSource;
-}
+	/**
+	 * Registers a custom gradient
+	 *
+	 * Gradient options:
+	 *
+	 * colorStops  - array of colors, as CSS color strings or { pos, color } objects, where `pos` goes from 0 (top of the bars)
+	 *               to 1 (bottom); colors without position are evenly spaced. For the 'levels' type, each color is an object
+	 *               { level, color } - the color is used from `level` (in dB, relative to the top of the analyzer scale) up to
+	 *               the level of the next color; the level of the first color may be omitted (it starts at the bottom)
+	 * type        - 'linear' (default), 'radial' (radiates from the center of the bars base, `pos` 0 at the top corners),
+	 *               or 'levels' (solid colors at level thresholds, like hardware LED meters)
+	 * dir         - 'h' for a horizontal linear gradient, from left (pos 0) to right
+	 * bgColor     - background color
+	 * solidBars   - if true, each bar is filled with a single color, taken from the gradient at the bar's level
+	 * peakColor   - color of the peaks - by default they use the same color as the bars
+	 * hueRotation - animates the gradient colors, rotating their hue by the given number of degrees per second
+	 *
+	 * @param {string} name
+	 * @param {object} options
+	 */
+	registerGradient( name, options ) {
+		if ( typeof options !== 'object' )
+			throw 'Custom gradient options must be an object';
+
+		if ( options.colorStops === undefined || options.colorStops.length < 2 )
+			throw 'Custom gradient must define at least two colors!';
+
+		if ( options.type !== undefined && ! [ 'linear', 'radial', 'levels' ].includes( options.type ) )
+			throw 'Custom gradient type must be linear, radial or levels';
+
+		if ( options.type == 'levels' && ! options.colorStops.every( ( stop, index ) => typeof stop == 'object' && ( index == 0 || typeof stop.level == 'number' ) ) )
+			throw 'Level thresholds must be defined for each color, except the first one';
+
+		this._gradients[ name ] = {};
+
+		if ( options.bgColor !== undefined )
+			this._gradients[ name ].bgColor = options.bgColor;
+		else
+			this._gradients[ name ].bgColor = '#111';
 
-/**
- * Start / stop canvas animation
- *
- * @param {boolean} [value] if undefined, inverts the current status
- * @returns {boolean} resulting status after the change
- */
-export function toggleAnalyzer( value ) {
-	var started = isOn();
-	if ( value === undefined )
-		value = ! started;
+		if ( options.dir !== undefined )
+			this._gradients[ name ].dir = options.dir;
+
+		this._gradients[ name ].colorStops = options.colorStops;
+
+		[ 'type', 'solidBars', 'peakColor', 'hueRotation' ].forEach( key => {
+			if ( options[ key ] !== undefined )
+				this._gradients[ name ][ key ] = options[ key ];
+		});
+
+		this._generateGradients();
+	}
 
-	if ( started && ! value ) {
-		cancelAnimationFrame( animationReq );
-		animationReq = undefined;
+	/**
+	 * Toggles canvas full-screen mode
+	 */
+	toggleFullscreen() {
+		if ( this.isFullscreen() ) {
+			if ( document.exitFullscreen )
+				document.exitFullscreen();
+			else if ( document.webkitExitFullscreen )
+				document.webkitExitFullscreen();
+		}
+		else {
+			if ( this.canvas.requestFullscreen )
+				this.canvas.requestFullscreen();
+			else if ( this.canvas.webkitRequestFullscreen )
+				this.canvas.webkitRequestFullscreen();
+		}
 	}
-	else if ( ! started && value ) {
-		frame = fps = 0;
-		time = performance.now();
-		animationReq = requestAnimationFrame( draw );
+
+	/**
+	 * Connect HTML audio element to analyzer
+	 *
+	 * @param {object} element HTML audio element
+	 * @returns {object} a MediaElementAudioSourceNode object
+	 */
+	connectAudio( element ) {
+		var audioSource = this.audioCtx.createMediaElementSource( element );
+		audioSource.connect( this.analyzer );
+		this._sources.push( audioSource );
+		return audioSource;
 	}
 
-	return isOn();
-}
+	/**
+	 * Destroy the analyzer instance, releasing all resources
+	 *
+	 * Stops the canvas animation, removes event listeners, disconnects the audio nodes and removes the canvas from its container.
+	 * The audio context is closed only if it was created by this instance; a context provided via the `audioCtx` option is left open,
+	 * so it can still be used by other analyzers or audio nodes.
+	 *
+	 * @returns {Promise} resolves when the audio context has been closed (or immediately, for a shared context)
+	 */
+	destroy() {
+		this.toggleAnalyzer( false );
 
-/**
- * Constructor
- *
- * @param {object} [container] DOM element where to insert the analyzer; if undefined, uses the document body
- * @param {object} [options]
- * @returns {object} MediaElementAudioSourceNode object to connected audio source
- */
-export function create( container, options = {} ) {
+		window.removeEventListener( 'resize', this._resizeHandler );
+		this.canvas.removeEventListener( 'fullscreenchange', this._fullscreenHandler );
 
-	if ( ! container )
-		container = document.body;
+		if ( this.isFullscreen() )
+			this.toggleFullscreen();
 
-	// Create audio context
+		this._sources.forEach( source => source.disconnect() );
+		this._sources = [];
+		this.analyzer.disconnect();
+		this._upmixer.disconnect();
+		this._splitter.disconnect();
+		if ( this._levelNodes )
+			this._levelNodes.input.disconnect();
 
-	var AudioContext = window.AudioContext || window.webkitAudioContext;
+		if ( this._worker )
+			this._terminateWorker();
 
-	try {
-		audioCtx = new AudioContext();
+		if ( this.canvas.parentNode )
+			this.canvas.parentNode.removeChild( this.canvas );
+
+		this._drawCallback = this._canvasResizeCallback = this._beatCallback = undefined;
+
+		if ( this._ownAudioCtx && this.audioCtx.state != 'closed' )
+			return this.audioCtx.close();
+
+		return Promise.resolve();
 	}
-	catch( err ) {
-		throw 'Could not create audio context. Web Audio API not supported?';
+
+	/**
+	 * Start / stop canvas animation
+	 *
+	 * @param {boolean} [value] if undefined, inverts the current status
+	 * @returns {boolean} resulting status after the change
+	 */
+	toggleAnalyzer( value ) {
+		var started = this.isOn();
+		if ( value === undefined )
+			value = ! started;
+
+		if ( started && ! value ) {
+			cancelAnimationFrame( this._animationReq );
+			this._animationReq = undefined;
+		}
+		else if ( ! started && value ) {
+			this._frame = this.fps = 0;
+			this._time = this._lastFrame = performance.now();
+			this._animationReq = requestAnimationFrame( () => this._draw() );
+		}
+
+		return this.isOn();
 	}
 
-	// Create analyzer node and connect to destination
+	/**
+	 * Pre-calculate the actual X-coordinate on screen for each analyzer bar
+	 *
+	 * With the default logarithmic frequency scale, each position in the X-axis actually represents a power of 10.
+	 * Linear, Bark and Mel scales work the same way, using the respective units instead of log10( frequency ).
+	 * To improve performace, the position of each frequency is calculated in advance and stored in an array.
+	 * Canvas space usage is optimized to accommodate exactly the frequency range the user needs.
+	 * Positions need to be recalculated whenever the frequency range, frequency scale, FFT size or canvas size change.
+	 *
+	 *                              +-------------------------- canvas --------------------------+
+	 *                              |                                                            |
+	 *    |-------------------|-----|-------------|-------------------!-------------------|------|------------|
+	 *    1                  10     |            100                  1K                 10K     |           100K (Hz)
+	 * (10^0)              (10^1)   |          (10^2)               (10^3)              (10^4)   |          (10^5)
+	 *                              |-------------|<--- scaleWidth -->|--------------------------|
+	 *                  minFreq--> 20                   (pixels)                                22K <--maxFreq
+	 *                          (10^1.3)                                                     (10^4.34)
+	 *                          minScale                                                     maxScale
+	 */
+	_preCalcPosX() {
+
+		// with worker rendering, the bars are calculated by the worker, when it receives the new settings
+		if ( this._worker ) {
+			this._syncWorker( { layout: true } );
+			return;
+		}
 
-	analyzer = audioCtx.createAnalyser();
+		var i, freq,
+			canvas = this.canvas,
+			channelHeight = this._channelHeight,
+			isMeters = ( this.mode == MODE_METERS ),
+			mode = this._isOctaveBands() ? this.mode : isMeters ? 24 : 0, // meters use the LED options of full-octave bands; other modes use the discrete frequencies mapping
+			isIso = ( this._isOctaveBands() && this.bandStandard != 'tempered' ),
+			minScale = this._freqToScale( this.minFreq ),
+			maxScale = this._freqToScale( this.maxFreq ),
+			scaleWidth = canvas.width / ( maxScale - minScale ),
+			analyzerBars = this._analyzerBars = [],
+			fftSize = this.analyzer.fftSize,
+			sampleRate = this.audioCtx.sampleRate;
+
+		if ( mode == 0 ) { // discrete frequencies mode
+			this._barWidth = 1;
+
+	 		var pos,
+	 			lastPos = -1,
+				minIndex = Math.floor( this.minFreq * fftSize / sampleRate ),
+			    maxIndex = Math.min( Math.round( this.maxFreq * fftSize / sampleRate ), this.analyzer.frequencyBinCount - 1 );
+
+			for ( i = minIndex; i <= maxIndex; i++ ) {
+				freq = i * sampleRate / fftSize; // frequency represented in this bin
+				pos = Math.round( scaleWidth * ( this._freqToScale( freq ) - minScale ) ); // avoid fractionary pixel values
+
+				// if it's on a different X-coordinate, create a new bar for this frequency
+				if ( pos > lastPos ) {
+					analyzerBars.push( { posX: pos, freq: freq, dataIdx: i, endIdx: 0, average: false, peak: [0,0], hold: [0,0], speed: [0,0] } );
+					lastPos = pos;
+				} // otherwise, add this frequency to the last bar's range
+				else if ( analyzerBars.length )
+					analyzerBars[ analyzerBars.length - 1 ].endIdx = i;
+			}
+		}
+		else { // octave bands modes
+
+			// calculates the best attributes for the LEDs effect, based on the visualization mode and canvas resolution
+			var spaceV, ledOptions,
+				pixelRatio = this.pixelRatio;
+
+			switch ( mode ) {
+				case 24:
+					spaceV = Math.min( 16, channelHeight / ( 33 * pixelRatio ) | 0 );
+					ledOptions = {
+						nLeds: 24,
+						spaceH: Math.min( 24, canvas.width / ( 40 * pixelRatio ) | 0 )
+					};
+					break;
+
+				case 12:
+					spaceV = Math.min( 8, channelHeight / ( 67 * pixelRatio ) | 0 );
+					ledOptions = {
+						nLeds: 48,
+						spaceH: Math.min( 16, canvas.width / ( 60 * pixelRatio ) | 0 )
+					};
+					break;
+
+				case  8:
+					spaceV = Math.min( 6, channelHeight / ( 90 * pixelRatio ) | 0 );
+					ledOptions = {
+						nLeds: 64,
+						spaceH: Math.min( 10, canvas.width / ( 96 * pixelRatio ) | 0 )
+					};
+					break;
+
+				case  4:
+					spaceV = Math.min( 6, channelHeight / ( 90 * pixelRatio ) | 0 );
+					ledOptions = {
+						nLeds: 80,
+						spaceH: Math.min( 8, canvas.width / ( 120 * pixelRatio ) | 0 )
+					};
+					break;
+
+				case  2:
+					spaceV = Math.min( 4, channelHeight / ( 135 * pixelRatio ) | 0 );
+					ledOptions = {
+						nLeds: 128,
+						spaceH: Math.min( 4, canvas.width / ( 240 * pixelRatio ) | 0 )
+					};
+					break;
+
+				default:
+					spaceV = Math.min( 3, Math.max( 2, channelHeight / ( 180 * pixelRatio ) | 0 ) );
+					ledOptions = {
+						nLeds: 128,
+						spaceH: Math.min( 4, canvas.width / ( 320 * pixelRatio ) | 0 )
+					};
+			}
 
-	var audioSource;
-	if ( options.source )
-		audioSource = connectAudio( options.source );
+			// user settings override the automatic values
+			if ( this.ledCount > 0 )
+				ledOptions.nLeds = this.ledCount | 0;
+			if ( this.ledGapH !== null && this.ledGapH >= 0 )
+				ledOptions.spaceH = this.ledGapH;
+			if ( this.ledGapV !== null && this.ledGapV >= 0 )
+				spaceV = this.ledGapV;
 
-	analyzer.connect( audioCtx.destination );
+			ledOptions.spaceH *= pixelRatio;
+			ledOptions.spaceV = spaceV * pixelRatio;
+			ledOptions.nLeds = Math.max( 1, Math.min( ledOptions.nLeds, channelHeight / Math.max( 2, ledOptions.spaceV * 2 ) | 0 ) );
+			ledOptions.ledHeight = channelHeight / ledOptions.nLeds - ledOptions.spaceV;
+			ledOptions.radius = Math.max( 0, this.ledRadius * pixelRatio );
 
-	// Adjust settings
+			this._ledOptions = ledOptions;
 
-	defaults.width  = container.clientWidth  || defaults.width;
-	defaults.height = container.clientHeight || defaults.height;
+			if ( isMeters ) {
+				// level meters - one wide bar for each channel
+				var barWidth = this._barWidth = canvas.width / 4 | 0;
 
-	mode        = options.mode        === undefined ? defaults.mode        : Number( options.mode );
-	minFreq     = options.minFreq     === undefined ? defaults.minFreq     : options.minFreq;
-	maxFreq     = options.maxFreq     === undefined ? defaults.maxFreq     : options.maxFreq;
-	gradient    = options.gradient    === undefined ? defaults.gradient    : options.gradient;
-	showBgColor = options.showBgColor === undefined ? defaults.showBgColor : options.showBgColor;
-	showLeds    = options.showLeds    === undefined ? defaults.showLeds    : options.showLeds;
-	showScale   = options.showScale   === undefined ? defaults.showScale   : options.showScale;
-	showPeaks   = options.showPeaks   === undefined ? defaults.showPeaks   : options.showPeaks;
-	showFPS     = options.showFPS     === undefined ? defaults.showFPS     : options.showFPS;
-	loRes       = options.loRes       === undefined ? defaults.loRes       : options.loRes;
-	width       = options.width       === undefined ? defaults.width       : options.width;
-	height      = options.height      === undefined ? defaults.height      : options.height;
+				this._barSpace = 0;
 
-	analyzer.fftSize               = options.fftSize   === undefined ? defaults.fftSize   : options.fftSize;
-	analyzer.smoothingTimeConstant = options.smoothing === undefined ? defaults.smoothing : options.smoothing;
-	analyzer.minDecibels           = options.minDb     === undefined ? defaults.minDb     : options.minDb;
-	analyzer.maxDecibels           = options.maxDb     === undefined ? defaults.maxDb     : options.maxDb;
+				[ 0, 1 ].forEach( channel => {
+					analyzerBars.push( { posX: Math.round( canvas.width * ( .3 + channel * .4 ) - barWidth / 2 ), channel: channel, peak: [0,0], hold: [0,0], speed: [0,0] } );
+				});
+			}
+			else {
+				var centerFreqs = [];
+				var prevBin = 0;
+
+				if ( ! isIso ) {
+					// generate a table of frequencies based on the equal tempered scale
+					var root24 = 2 ** ( 1 / 24 ); // for 1/24th-octave bands
+					var c0 = 440 * root24 ** -114;
+
+					i = 0;
+					while ( ( freq = c0 * root24 ** i ) <= this.maxFreq ) {
+						if ( freq >= this.minFreq && i % mode == 0 )
+							centerFreqs.push( freq );
+						i++;
+					}
 
-	dataArray = new Uint8Array( analyzer.frequencyBinCount );
+					// for the other frequency scales, keep the same number of bands, but evenly spaced in the selected scale
+					if ( this.frequencyScale != 'log' )
+						centerFreqs = centerFreqs.map( ( freq, index, arr ) => this._scaleToFreq( minScale + ( index + .5 ) * ( maxScale - minScale ) / arr.length ) );
+				}
+				else {
+					// ISO 266 / ANSI S1.11 mid-band frequencies, referenced to 1 kHz - these are always logarithmically spaced
+					// with an even number of bands per octave, mid-band frequencies are offset by half a band, so 1 kHz falls on a band edge
+					var bandsPerOctave = 24 / mode,
+						octaveRatio = this.bandStandard == 'base2' ? 2 : 10 ** .3;
+
+					i = Math.floor( bandsPerOctave * Math.log( this.minFreq / 1000 ) / Math.log( octaveRatio ) ) - 1;
+					while ( ( freq = 1000 * octaveRatio ** ( ( bandsPerOctave % 2 ? i : i + .5 ) / bandsPerOctave ) ) <= this.maxFreq ) {
+						if ( freq >= this.minFreq )
+							centerFreqs.push( freq );
+						i++;
+					}
+				}
 
-	if ( typeof options.onCanvasDraw == 'function' )
-		drawCallback = options.onCanvasDraw;
+				// divide canvas space by the number of frequencies to display, leaving the requested spacing and at least one pixel between bars
+				var barWidth = this._barWidth = Math.max( 1, Math.floor( canvas.width / centerFreqs.length * ( 1 - this.barSpace ) ) - 1 );
 
-	if ( typeof options.onCanvasResize == 'function' )
-		canvasResizeCallback = options.onCanvasResize;
+				// the space remaining from the integer division is split equally among the bars as separator (a single bar has no separator)
+				var barSpace = this._barSpace = centerFreqs.length > 1 ? ( canvas.width - barWidth * centerFreqs.length ) / ( centerFreqs.length - 1 ) : 0;
 
-	// Create canvas
+				centerFreqs.forEach( ( freq, index ) => {
+					// which FFT bin represents this frequency?
+					var bin = Math.round( freq * fftSize / sampleRate );
 
-	canvas = document.createElement('canvas');
-	canvas.style = 'max-width: 100%;';
-	container.appendChild( canvas );
-	canvasCtx = canvas.getContext( '2d', { alpha: false } );
-	setCanvas('create');
+					var idx, nextBin, lastBin, avg = false, sum = false;
 
-	// adjust canvas on window resize / fullscreen change
-	window.addEventListener( 'resize', () => {
-		width = options.width || container.clientWidth || defaults.width;
-		height = options.height || container.clientHeight || defaults.height;
-		setCanvas('resize');
-	});
+					if ( isIso ) {
+						// use all FFT bins whose center frequencies fall within the band edges, and sum their power
+						idx = Math.ceil( freq * octaveRatio ** ( -.5 / bandsPerOctave ) * fftSize / sampleRate );
+						lastBin = Math.min( Math.ceil( freq * octaveRatio ** ( .5 / bandsPerOctave ) * fftSize / sampleRate ) - 1, this.analyzer.frequencyBinCount - 1 );
+						if ( lastBin >= idx ) {
+							prevBin = lastBin;
+							sum = true;
+						}
+						else // band is narrower than the FFT resolution - use the nearest bin
+							idx = prevBin = bin;
+					}
+					else {
+						// start from the last used FFT bin
+						if ( prevBin > 0 && prevBin + 1 <= bin )
+							idx = prevBin + 1;
+						else
+							idx = bin;
+
+						prevBin = nextBin = bin;
+						// check if there's another band after this one
+						if ( centerFreqs[ index + 1 ] !== undefined ) {
+							nextBin = Math.round( centerFreqs[ index + 1 ] * fftSize / sampleRate );
+							// and use half the bins in between for this band
+							if ( nextBin - bin > 1 )
+								prevBin += Math.round( ( nextBin - bin ) / 2 );
+							else if ( nextBin - bin == 1 ) {
+							// for low frequencies the FFT may not provide as many coefficients as we need, so more than one band will use the same FFT data
+							// in these cases, we set a flag to perform an average to smooth the transition between adjacent bands
+								if ( analyzerBars.length > 0 && idx == analyzerBars[ analyzerBars.length - 1 ].dataIdx ) {
+									avg = true;
+									prevBin += Math.round( ( nextBin - bin ) / 2 );
+								}
+							}
+						}
+					}
 
-	canvas.addEventListener( 'fullscreenchange', () => setCanvas('resize') ); // required for Firefox Android TV
+					analyzerBars.push( {
+						posX: index * ( barWidth + barSpace ),
+						freq: freq,
+						nominal: isIso ? this._nominalFreq( freq, bandsPerOctave ) : freq,
+						dataIdx: idx,
+						endIdx: prevBin - idx > 0 ? prevBin : 0,
+						average: avg,
+						sum: sum,
+						peak: [0,0],
+						hold: [0,0],
+						speed: [0,0]
+					} );
+				} );
+			}
 
-	// Start analyzer
-	if ( options.start === undefined || options.start !== false )
-		toggleAnalyzer( true );
+			this._drawLedsMask();
+		}
 
-	// Return connected audio source
-	return audioSource;
+		// gain of the selected weighting filter at each bar's frequency, in dB
+		analyzerBars.forEach( bar => bar.weight = this._getWeighting( bar.freq ) );
+
+		// calculate the position of the labels for the X-axis scale
+		// ISO bands don't follow the frequency scale, so their labels are placed relative to the bars
+		var labelPosX = freq => isIso ?
+			bandsPerOctave * Math.log( freq / centerFreqs[0] ) / Math.log( octaveRatio ) * ( barWidth + barSpace ) + barWidth / 2 :
+			scaleWidth * ( this._freqToScale( freq ) - minScale );
+
+		if ( this.noteLabels ) {
+			// C notes of each octave, skipping those too close to the previous label
+			var lastPos = -Infinity;
+			this._freqLabels = [];
+			for ( i = 0; i < 11; i++ ) {
+				freq = 440 * 2 ** ( i - 4 - 9 / 12 );
+				if ( freq >= this.minFreq && freq <= this.maxFreq && labelPosX( freq ) - lastPos >= 20 * this.pixelRatio ) {
+					lastPos = labelPosX( freq );
+					this._freqLabels.push( { freq: noteNames[0] + i, posX: lastPos } );
+				}
+			}
+		}
+		else if ( isIso ) {
+			// nominal octave mid-band frequencies, within the selected frequency range
+			this._freqLabels = [];
+			for ( i = -5; i < 5; i++ ) {
+				freq = 1000 * octaveRatio ** i;
+				if ( freq >= this.minFreq && freq <= this.maxFreq )
+					this._freqLabels.push( { freq: this._nominalFreq( freq, 1 ), posX: labelPosX( freq ) } );
+			}
+		}
+		else switch ( this.frequencyScale ) {
+			case 'linear':
+				// round steps, for about ten labels across the frequency range
+				freq = 10 ** Math.floor( Math.log10( ( this.maxFreq - this.minFreq ) / 10 ) );
+				freq *= [ 1, 2, 5, 10 ].find( n => ( this.maxFreq - this.minFreq ) / ( freq * n ) <= 12 );
+				this._freqLabels = [];
+				for ( i = Math.ceil( this.minFreq / freq ) * freq; i <= this.maxFreq; i += freq )
+					this._freqLabels.push( { freq: i } );
+				break;
+
+			case 'bark':
+			case 'mel':
+				this._freqLabels = [ 50, 100, 200, 300, 500, 1000, 2000, 3000, 5000, 8000, 12000, 16000 ].map( freq => ( { freq } ) );
+				break;
+
+			default:
+				// octaves center frequencies
+				this._freqLabels = [ 16, 31, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000 ].map( freq => ( { freq } ) );
+		}
+
+		this._freqLabels.forEach( label => {
+			if ( label.posX === undefined )
+				label.posX = labelPosX( label.freq );
+			if ( label.freq >= 1000 )
+				label.freq = ( label.freq / 1000 ) + 'k';
+		});
+	}
+
+	/**
+	 * Draw the LEDs mask - black over the gaps around each LED of the analyzer bars, which is applied over the drawn bars
+	 */
+	_drawLedsMask() {
+		var ledOptions = this._ledOptions,
+			ledsCtx = this._ledsCtx,
+			space = ledOptions.ledHeight + ledOptions.spaceV,
+			width = Math.min( this._barWidth, this._barWidth + this._barSpace - ledOptions.spaceH ),
+			height = ledOptions.ledHeight,
+			radius = Math.max( 0, Math.min( ledOptions.radius, width / 2, height / 2 ) );
+
+		this._ledsMask.width |= 0; // clear LEDs mask canvas
+
+		// black out the area of each bar, including the space to the next one, then cut out the LEDs
+		this._analyzerBars.forEach( bar => ledsCtx.fillRect( bar.posX, 0, this._barWidth + this._barSpace, this._channelHeight ) );
+
+		ledsCtx.globalCompositeOperation = 'destination-out';
+		ledsCtx.beginPath();
+
+		this._analyzerBars.forEach( bar => {
+			var y,
+				x = bar.posX + ledOptions.spaceH / 2;
+
+			for ( let i = 0; i < ledOptions.nLeds; i++ ) {
+				y = i * space;
+				ledsCtx.moveTo( x + radius, y );
+				ledsCtx.arcTo( x + width, y, x + width, y + height, radius );
+				ledsCtx.arcTo( x + width, y + height, x, y + height, radius );
+				ledsCtx.arcTo( x, y + height, x, y, radius );
+				ledsCtx.arcTo( x, y, x + width, y, radius );
+				ledsCtx.closePath();
+			}
+		});
+
+		ledsCtx.fill();
+		ledsCtx.globalCompositeOperation = 'source-over';
+	}
+
+	/**
+	 * Update measurements and redraw the canvas (or send the data to the worker which does it)
+	 * this is called 60 times per second by requestAnimationFrame()
+	 */
+	_draw() {
+		var now = performance.now(),
+			frameTime = now - this._lastFrame; // time elapsed since the previous frame, in milliseconds
+
+		this._lastFrame = now;
+
+		if ( this._beatCallback )
+			this._detectBeats( now, frameTime );
+
+		if ( this.showLoudness )
+			this._measureLoudness();
+
+		if ( this.showMeters || this.mode == MODE_METERS )
+			this._updateMeters();
+
+		if ( this._worker )
+			this._postFrame();
+		else
+			this._render( now, frameTime );
+
+		// schedule next canvas update
+		this._animationReq = requestAnimationFrame( () => this._draw() );
+	}
+
+	/**
+	 * Internal function to compute and render a frame, with the Canvas 2D renderer or a custom renderer
+	 *
+	 * @param {number} now current time, in milliseconds
+	 * @param {number} frameTime time elapsed since the previous frame, in milliseconds
+	 */
+	_render( now, frameTime ) {
+		var frame = this._currentFrame = this._getFrame( now, frameTime ),
+			elapsed = now - this._time;
+
+		this._frame++;
+		if ( elapsed >= 1000 ) {
+			this.fps = this._frame / ( elapsed / 1000 );
+			this._frame = 0;
+			this._time = now;
+		}
+
+		if ( this._renderer )
+			this._renderer( frame );
+		else
+			this._drawFrame( frame );
+	}
+
+	/**
+	 * Internal function to compute the bars levels and peaks for the current frame, without drawing anything
+	 *
+	 * Peaks are recorded at their current position, then moved according to the hold and fall settings.
+	 *
+	 * @param {number} now current time, in milliseconds
+	 * @param {number} frameTime time elapsed since the previous frame, in milliseconds
+	 * @returns {object} data frame - see setRenderer()
+	 */
+	_getFrame( now, frameTime ) {
+		var ch, dataArray, maxHeight,
+			canvas = this.canvas,
+			ledOptions = this._ledOptions,
+			peakColor = this._gradients[ this.gradient ].peakColor,
+			isMeters = ( this.mode == MODE_METERS ),
+			hasBars = ! [ MODE_OSCILLOSCOPE, MODE_SPECTROGRAM, MODE_GONIOMETER ].includes( this.mode ),
+			isRadial = ( this.radial && hasBars && ! isMeters ),
+			isLedDisplay = ( this.showLeds && ( this._isOctaveBands() || isMeters ) && ! isRadial ),
+			maxRadius = Math.min( canvas.width, canvas.height ) / 2,
+			innerRadius = maxRadius * this.innerRadius,
+			// colors are only provided to custom renderers - the Canvas 2D renderer uses the gradients
+			color = level => this._renderer ? this._paletteColor( level ) : undefined,
+			frame = {
+				timestamp: now,
+				mode: this.mode,
+				width: canvas.width,
+				height: canvas.height,
+				channels: []
+			};
+
+		// level meters have one bar per channel, so they're computed in a single pass
+		for ( ch = 0; ch < ( ! hasBars ? 0 : this.stereo && ! isMeters ? 2 : 1 ); ch++ ) {
+
+			// get a new array of data from the FFT
+			if ( ! isMeters )
+				dataArray = this._getFrequencyData( this.stereo ? ch : undefined );
+
+			// in radial mode, bars extend outwards from the inner radius, or inwards for the right channel
+			maxHeight = isRadial ? ( ch == 0 ? maxRadius - innerRadius : innerRadius ) : this._channelHeight;
+
+			frame.channels.push( {
+				maxHeight: maxHeight,
+				bars: this._analyzerBars.map( bar => {
+					var height, peak,
+						db = isMeters ? this._getMeterReading( bar.channel ) + this.meterReference : this._getBarDb( bar, dataArray ),
+						level = isMeters ? this._meterLevel( db - this.meterReference ) : this._dbToLevel( db );
+
+					if ( isLedDisplay ) // normalize height to match one of the "led" elements
+						height = ( level * ledOptions.nLeds | 0 ) * ( ledOptions.ledHeight + ledOptions.spaceV );
+					else
+						height = level * maxHeight | 0;
+
+					if ( height >= bar.peak[ ch ] ) {
+						bar.peak[ ch ] = height;
+						bar.hold[ ch ] = this.peakHoldTime;
+						bar.speed[ ch ] = 0;
+					}
+
+					peak = bar.peak[ ch ];
+
+					if ( peak > 0 ) {
+						if ( bar.hold[ ch ] > 0 )
+							bar.hold[ ch ] -= frameTime;
+						else if ( this.peakFallMode == 'linear' )
+							bar.peak[ ch ] -= maxHeight * frameTime / this.peakFallTime;
+						else if ( this.peakFallMode == 'gravity' ) {
+							// acceleration required to fall the full height in peakFallTime
+							bar.speed[ ch ] += 2 * maxHeight / this.peakFallTime ** 2 * frameTime;
+							bar.peak[ ch ] -= bar.speed[ ch ] * frameTime;
+						}
+					}
+
+					return {
+						posX: bar.posX,
+						width: this._barWidth,
+						freq: bar.freq,
+						channel: bar.channel === undefined ? ch : bar.channel,
+						level: level,
+						db: db,
+						height: height,
+						peak: peak,
+						color: color( level ),
+						peakColor: this._renderer && peakColor || color( peak / maxHeight )
+					};
+				})
+			});
+		}
+
+		return frame;
+	}
+
+	/**
+	 * Internal function to draw a frame on the canvas - this is the Canvas 2D renderer
+	 *
+	 * @param {object} frame data frame returned by _getFrame()
+	 */
+	_drawFrame( frame ) {
+
+		var ch, size, analyzer,
+			now = frame.timestamp,
+			canvas = this.canvas,
+			canvasCtx = this.canvasCtx,
+			channelHeight = this._channelHeight,
+			ledOptions = this._ledOptions,
+			isScope = ( this.mode == MODE_OSCILLOSCOPE ),
+			isSpectrogram = ( this.mode == MODE_SPECTROGRAM ),
+			isMeters = ( this.mode == MODE_METERS ),
+			isGoniometer = ( this.mode == MODE_GONIOMETER ),
+			isRadial = ( this.radial && ! isScope && ! isSpectrogram && ! isMeters && ! isGoniometer ),
+			isLedDisplay = ( this.showLeds && ( this._isOctaveBands() || isMeters ) && ! isRadial ),
+			maxRadius = Math.min( canvas.width, canvas.height ) / 2,
+			innerRadius = maxRadius * this.innerRadius,
+			gradient = this._gradients[ this.gradient ],
+			hueFilter = gradient.hueRotation ? `hue-rotate(${ now / 1000 * gradient.hueRotation % 360 }deg)` : 'none',
+			reflexRatio = isRadial ? 0 : this._reflexRatio(),
+			reflexAlpha = this.mirror ? 1 : this.reflexAlpha,
+			pass, isReflex, alpha, transform;
+
+		if ( ! this.showBgColor )	// use black background
+			canvasCtx.fillStyle = '#000';
+		else
+			if ( isLedDisplay )
+				canvasCtx.fillStyle = '#111';
+			else
+				canvasCtx.fillStyle = gradient.bgColor; // use background color defined by gradient
+
+		// clear the canvas
+		canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+
+		if ( isSpectrogram ) {
+			this._drawSpectrogram();
+			if ( this.showScope )
+				this._drawScope( 0, this.analyzer );
+		}
+
+		if ( isGoniometer )
+			this._drawGoniometer();
+
+		// the spectrogram uses only the main analyzer and the goniometer is drawn from both channels at once, so the channels loop is skipped;
+		// level meters have one bar per channel, so they're drawn in a single pass
+		for ( ch = 0; ch < ( isSpectrogram || isGoniometer ? 0 : this.stereo && ! isMeters ? 2 : 1 ); ch++ ) {
+
+			analyzer = this.stereo ? this._channelAnalyzers[ ch ] : this.analyzer;
+
+			if ( isScope ) {
+				this._drawScope( ch, analyzer );
+				continue;
+			}
+
+			// with the reflex effect (or the mirrored layout), bars are drawn a second time, flipped under the bars base
+			for ( pass = 0; pass < ( reflexRatio > 0 ? 2 : 1 ); pass++ ) {
+				isReflex = ( pass == 1 );
+				alpha = isReflex ? reflexAlpha : 1;
+
+				if ( isRadial )
+					canvasCtx.fillStyle = gradient[ ch == 0 ? 'radialGradient' : 'radialGradientIn' ];
+				else {
+					// each channel is drawn in its own coordinate space, with the bars base at y = channelHeight - see _channelTransform()
+					transform = this._channelTransform( ch, reflexRatio, isReflex );
+					canvasCtx.setTransform( 1, 0, 0, transform[0], 0, transform[1] );
+					canvasCtx.fillStyle = gradient.gradient;
+				}
+
+				// animated gradients have their colors rotated over time
+				canvasCtx.filter = hueFilter;
+				canvasCtx.globalAlpha = alpha;
+
+				// unlit LEDs are drawn as dimmed full-height bars, behind the lit ones
+				if ( isLedDisplay && this.ledUnlit ) {
+					canvasCtx.globalAlpha = alpha * .15;
+					frame.channels[ ch ].bars.forEach( bar => canvasCtx.fillRect( bar.posX + ledOptions.spaceH / 2, channelHeight, bar.width, -channelHeight ) );
+					canvasCtx.globalAlpha = alpha;
+				}
+
+				frame.channels[ ch ].bars.forEach( bar => {
+					if ( gradient.solidBars )
+						canvasCtx.fillStyle = this._paletteColor( bar.level );
+
+					if ( isRadial )
+						this._radialBar( bar.posX, bar.width, innerRadius, ch == 0 ? bar.height : -bar.height );
+					else if ( isLedDisplay )
+						canvasCtx.fillRect( bar.posX + ledOptions.spaceH / 2, channelHeight, bar.width, -bar.height );
+					else
+						canvasCtx.fillRect( bar.posX, channelHeight, bar.width, -bar.height );
+				});
+
+				// peaks use the gradient's peak color, if defined, otherwise the same color as the bars at their height
+				if ( gradient.peakColor ) {
+					canvasCtx.filter = 'none';
+					canvasCtx.fillStyle = gradient.peakColor;
+				}
+
+				frame.channels[ ch ].bars.forEach( bar => {
+					if ( bar.peak <= 0 || ! this.showPeaks )
+						return;
+
+					if ( gradient.solidBars && ! gradient.peakColor )
+						canvasCtx.fillStyle = this._paletteColor( bar.peak / frame.channels[ ch ].maxHeight );
+
+					if ( isRadial )
+						this._radialBar( bar.posX, bar.width, innerRadius + ( ch == 0 ? bar.peak : -bar.peak ), ch == 0 ? -2 : 2 );
+					else if ( isLedDisplay )
+						canvasCtx.fillRect( bar.posX + ledOptions.spaceH / 2, ( ledOptions.nLeds - ( bar.peak / channelHeight * ledOptions.nLeds | 0 ) ) * ( ledOptions.ledHeight + ledOptions.spaceV ), bar.width, ledOptions.ledHeight );
+					else
+						canvasCtx.fillRect( bar.posX, channelHeight - bar.peak, bar.width, 2 );
+				});
+
+				canvasCtx.filter = 'none';
+				canvasCtx.globalAlpha = 1; // the LEDs gaps are fully opaque, also in the reflection
+
+				if ( isLedDisplay ) // applies LEDs mask over the channel area
+					canvasCtx.drawImage( this._ledsMask, 0, 0 );
+			}
+
+			// clip indicators, lit for two seconds after a clipped sample
+			if ( isMeters ) {
+				size = Math.max( 4, channelHeight / 40 | 0 );
+				frame.channels[ ch ].bars.forEach( bar => {
+					canvasCtx.fillStyle = now - this._meters.clip[ bar.channel ] < 2000 ? '#f00' : '#400';
+					canvasCtx.fillRect( bar.posX + ( isLedDisplay ? ledOptions.spaceH / 2 : 0 ), 0, bar.width, size );
+				});
+			}
+
+			if ( this.showScope )
+				this._drawScope( ch, analyzer );
+		}
+
+		canvasCtx.setTransform( 1, 0, 0, 1, 0, 0 );
+
+		if ( this.showDbScale && ! isScope && ! isSpectrogram && ! isMeters && ! isGoniometer )
+			this._drawDbScale( isRadial );
+
+		if ( this.showScale && ! isScope && ! isGoniometer ) {
+			size = 5 * this.pixelRatio;
+
+			if ( this.isFullscreen() )
+				size *= 2;
+
+			canvasCtx.font = ( size * 2 ) + 'px sans-serif';
+			canvasCtx.textAlign = 'center';
+
+			if ( isRadial ) {
+				// labels are placed around the inner circle, if there's enough room for them
+				if ( innerRadius > size * 6 && ! this.stereo ) {
+					canvasCtx.fillStyle = '#000c';
+					canvasCtx.beginPath();
+					canvasCtx.arc( canvas.width / 2, canvas.height / 2, innerRadius, 0, 2 * Math.PI );
+					canvasCtx.fill();
+
+					canvasCtx.fillStyle = '#fff';
+					canvasCtx.textBaseline = 'middle';
+					this._freqLabels.forEach( label => {
+						var angle = 2 * Math.PI * label.posX / canvas.width - Math.PI / 2;
+						canvasCtx.fillText( label.freq, canvas.width / 2 + ( innerRadius - size * 3 ) * Math.cos( angle ), canvas.height / 2 + ( innerRadius - size * 3 ) * Math.sin( angle ) );
+					});
+					canvasCtx.textBaseline = 'alphabetic';
+				}
+			}
+			else if ( isSpectrogram && ['left','right'].includes( this.spectrogramDir ) ) {
+				// frequency scale on the Y-axis, low frequencies at the bottom
+				canvasCtx.fillStyle = '#000c';
+				canvasCtx.fillRect( 0, 0, size * 8, canvas.height );
+
+				canvasCtx.fillStyle = '#fff';
+				canvasCtx.textBaseline = 'middle';
+				this._freqLabels.forEach( label => canvasCtx.fillText( label.freq, size * 4, canvas.height - label.posX * canvas.height / canvas.width ) );
+				canvasCtx.textBaseline = 'alphabetic';
+			}
+			else if ( isMeters ) {
+				// level scale between the meters
+				canvasCtx.fillStyle = '#fff';
+				canvasCtx.textBaseline = 'middle';
+				this._getMeterMarks().forEach( mark => {
+					var posY = channelHeight * ( 1 - this._meterLevel( mark ) );
+					canvasCtx.fillText( mark > 0 ? '+' + mark : mark, canvas.width / 2, Math.min( canvas.height - size, Math.max( size, posY ) ) );
+				});
+				canvasCtx.fillText( this.meterType.toUpperCase(), canvas.width / 2, canvas.height - size * 4 );
+				canvasCtx.textBaseline = 'alphabetic';
+			}
+			else {
+				canvasCtx.fillStyle = '#000c';
+				canvasCtx.fillRect( 0, canvas.height - size * 4, canvas.width, size * 4 );
+
+				canvasCtx.fillStyle = '#fff';
+				this._freqLabels.forEach( label => canvasCtx.fillText( label.freq, label.posX, canvas.height - size ) );
+			}
+		}
+
+		if ( this.showMeters && ! isMeters )
+			this._drawMeters();
+
+		if ( this.showLoudness )
+			this._drawLoudness();
+
+		if ( this.showTuner )
+			this._drawTuner();
+
+		if ( this.showFPS ) {
+			size = 20 * this.pixelRatio;
+			canvasCtx.font = `bold ${size}px sans-serif`;
+			canvasCtx.fillStyle = '#0f0';
+			canvasCtx.textAlign = 'right';
+			canvasCtx.fillText( this.fps.toFixed(), canvas.width - size, size * 2 );
+		}
+
+		if ( this._drawCallback )
+			this._drawCallback( canvas, canvasCtx, this.pixelRatio );
+	}
+
+	/**
+	 * Get the color of the current gradient at a given level, from its palette
+	 *
+	 * @param {number} level from 0 (bottom of the bars) to 1 (top)
+	 * @returns {string} CSS color
+	 */
+	_paletteColor( level ) {
+		var palette = this._gradients[ this.gradient ].palette,
+			i = ( Math.max( 0, Math.min( 1, level ) ) * 255 | 0 ) * 4;
+
+		return `rgb( ${ palette[ i ] }, ${ palette[ i + 1 ] }, ${ palette[ i + 2 ] } )`;
+	}
+
+	/**
+	 * Generate gradients
+	 */
+	_generateGradients() {
+		// with worker rendering, gradients are generated by the worker, for its own canvas
+		if ( this._worker ) {
+			this._syncWorker( { gradients: true } );
+			return;
+		}
+
+		var grad, radialGrad, radialGradIn, paletteGrad,
+			paletteCanvas = this._createCanvas( 256, 1 ),
+			paletteCtx = paletteCanvas.getContext('2d'),
+			canvas = this.canvas,
+			gradients = this._gradients,
+			centerX = canvas.width / 2,
+			centerY = canvas.height / 2,
+			maxRadius = Math.min( centerX, centerY ),
+			innerRadius = maxRadius * this.innerRadius,
+			// position of a level threshold along the gradient, for the 'levels' type - thresholds are relative to the top of the scale
+			levelPos = db => 1 - Math.max( 0, Math.min( 1, this.mode == MODE_METERS ? this._meterLevel( this._meterRange()[1] + db ) : this._dbToLevel( this.analyzer.maxDecibels + db ) ) );
+
+		Object.keys( gradients ).forEach( key => {
+			var stops = [],
+				colorStops = gradients[ key ].colorStops || [];
+
+			// for radial mode, the gradient is applied from the inner radius outwards (or inwards, for the right channel in stereo mode)
+			radialGrad = this.canvasCtx.createRadialGradient( centerX, centerY, innerRadius, centerX, centerY, maxRadius );
+			radialGradIn = this.canvasCtx.createRadialGradient( centerX, centerY, 0, centerX, centerY, innerRadius );
+			// for the spectrogram, the gradient is rendered into a 256-color palette, indexed by level
+			paletteGrad = paletteCtx.createLinearGradient( 0, 0, 256, 0 );
+
+			if ( gradients[ key ].type == 'radial' ) // from the top corners (outer circle) to the center of the bars base
+				grad = this.canvasCtx.createRadialGradient( centerX, this._channelHeight, Math.hypot( centerX, this._channelHeight ), centerX, this._channelHeight, 0 );
+			else if ( gradients[ key ].dir && gradients[ key ].dir == 'h' )
+				grad = this.canvasCtx.createLinearGradient( 0, 0, canvas.width, 0 );
+			else
+				grad = this.canvasCtx.createLinearGradient( 0, 0, 0, this._channelHeight );
+
+			if ( gradients[ key ].type == 'levels' ) {
+				// each color fills the range from its threshold to the next one, from the top of the scale down, so colors
+				// change abruptly at the thresholds (two stops at the same position)
+				colorStops = colorStops.slice().sort( ( a, b ) => ( a.level === undefined ? -Infinity : a.level ) - ( b.level === undefined ? -Infinity : b.level ) );
+				for ( let i = colorStops.length - 1; i >= 0; i-- ) {
+					stops.push( { pos: i < colorStops.length - 1 ? levelPos( colorStops[ i + 1 ].level ) : 0, color: colorStops[ i ].color } );
+					stops.push( { pos: i > 0 ? levelPos( colorStops[ i ].level ) : 1, color: colorStops[ i ].color } );
+				}
+			}
+			else {
+				colorStops.forEach( ( colorInfo, index ) => {
+					if ( typeof colorInfo == 'object' )
+						stops.push( colorInfo );
+					else
+						stops.push( { pos: index / ( colorStops.length - 1 ), color: colorInfo } );
+				});
+			}
+
+			// stops at the same position are applied in the order they're added, so the order is reversed for inverted gradients
+			stops.forEach( stop => {
+				grad.addColorStop( stop.pos, stop.color );
+				radialGradIn.addColorStop( stop.pos, stop.color );
+			});
+			stops.slice().reverse().forEach( stop => {
+				radialGrad.addColorStop( 1 - stop.pos, stop.color ); // first color stop is at the top of the bars, so it goes on the outer circle
+				paletteGrad.addColorStop( 1 - stop.pos, stop.color );
+			});
+
+			paletteCtx.fillStyle = paletteGrad;
+			paletteCtx.fillRect( 0, 0, 256, 1 );
+
+			// save the generated gradients back into the gradients array
+			gradients[ key ].gradient = grad;
+			gradients[ key ].radialGradient = radialGrad;
+			gradients[ key ].radialGradientIn = radialGradIn;
+			gradients[ key ].palette = paletteCtx.getImageData( 0, 0, 256, 1 ).data;
+		});
+	}
+
+	/**
+	 * Internal function to change canvas dimensions on the fly
+	 */
+	_setCanvas( reason ) {
+		var width, height,
+			pixelRatio = window.devicePixelRatio; // for Retina / HiDPI devices
+
+		if ( this.loRes )
+			pixelRatio /= 2;
+
+		this.fsWidth = Math.max( window.screen.width, window.screen.height ) * pixelRatio;
+		this.fsHeight = Math.min( window.screen.height, window.screen.width ) * pixelRatio;
+
+		if ( this.isFullscreen() ) {
+			width = this.fsWidth;
+			height = this.fsHeight;
+		}
+		else {
+			width = this.width * pixelRatio;
+			height = this.height * pixelRatio;
+		}
+
+		// workaround for wrong dPR reported on Android TV
+		if ( pixelRatio == 2 && window.screen.height <= 540 )
+			pixelRatio = 1;
+
+		this.pixelRatio = pixelRatio;
+
+		// when drawing is done by a worker, the new dimensions are sent to it - other settings may have changed as well
+		if ( this._worker ) {
+			this._canvasSize = { width: width, height: height };
+			this._syncWorker( { layout: true, gradients: true } );
+		}
+		else
+			this._resizeCanvas( width, height );
+
+		if ( this._canvasResizeCallback )
+			this._canvasResizeCallback( reason, width, height, this.isFullscreen(), this.loRes, pixelRatio );
+	}
+
+	/**
+	 * Internal function to resize the canvas and (re)create everything that depends on its dimensions
+	 *
+	 * @param {number} width in pixels
+	 * @param {number} height in pixels
+	 */
+	_resizeCanvas( width, height ) {
+		var canvas = this.canvas;
+
+		canvas.width = width;
+		canvas.height = height;
+
+		// in stereo mode each channel uses half the canvas height (except for level meters, which are side by side)
+		this._channelHeight = this.stereo && this.mode != MODE_METERS ? canvas.height >> 1 : canvas.height;
+
+		// clear the canvas
+		this.canvasCtx.fillStyle = '#000';
+		this.canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+
+		// (re)generate gradients
+		this._generateGradients();
+
+		// create an auxiliary canvas for the LED effect mask
+		this._ledsMask = this._createCanvas( canvas.width, this._channelHeight );
+		this._ledsCtx = this._ledsMask.getContext('2d');
+		this._ledsCtx.fillStyle = '#000';
+
+		// (re)create the spectrogram history canvas, keeping its previous contents scaled to the new size
+		var specHistory = this._specCanvas;
+		this._specCanvas = this._createCanvas();
+		this._specCtx = this._specCanvas.getContext('2d');
+		if ( specHistory )
+			this._specCtx.drawImage( specHistory, 0, 0, canvas.width, canvas.height );
+
+		// (re)create the goniometer trail canvas
+		this._gonioCanvas = this._createCanvas();
+		this._gonioCtx = this._gonioCanvas.getContext('2d');
+
+		this._preCalcPosX();
+	}
+
+	/**
+	 * Internal function to create an auxiliary canvas
+	 *
+	 * @param {number} [width] defaults to the analyzer canvas width
+	 * @param {number} [height] defaults to the analyzer canvas height
+	 * @returns {object} HTML canvas element, or an OffscreenCanvas when running in a worker
+	 */
+	_createCanvas( width = this.canvas.width, height = this.canvas.height ) {
+		var canvas;
+
+		if ( typeof document == 'undefined' )
+			return new OffscreenCanvas( width, height );
+
+		canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		return canvas;
+	}
+
+	/**
+	 * Internal function to create the worker and hand over the canvas to it
+	 *
+	 * @param {string} url worker script
+	 * @returns {boolean} true if the worker could be created
+	 */
+	_startWorker( url ) {
+		var offscreen;
+
+		try {
+			this._worker = new Worker( url );
+		}
+		catch( err ) {
+			this._worker = undefined;
+			return false;
+		}
+
+		offscreen = this.canvas.transferControlToOffscreen();
+
+		// drawings made by the onCanvasDraw callback are recorded and replayed by the worker
+		this.canvasCtx = createRecorder();
+
+		// the worker replies to each frame with its own frame rate and the measurements taken while drawing,
+		// and to requests made via _workerRequest() with the id of the request, and either the reply or an error
+		this._worker.onmessage = event => {
+			var request = this._workerRequests[ event.data.id ];
+
+			if ( request ) {
+				delete this._workerRequests[ event.data.id ];
+				if ( event.data.error !== undefined )
+					request.reject( event.data.error );
+				else
+					request.resolve( event.data.reply );
+				return;
+			}
+
+			this._workerBusy = false;
+			this.fps = event.data.fps;
+			this.correlation = event.data.correlation;
+		};
+
+		// if the worker fails (script not found, or an error while drawing), fall back to drawing on the main thread
+		this._worker.onerror = () => this._stopWorker();
+
+		this._workerBusy = false;
+		this._workerCanvas = {};
+		this._workerRequests = {};
+		this._workerRequestId = 0;
+		this._worker.postMessage( { type: 'init', canvas: offscreen, sampleRate: this.audioCtx.sampleRate }, [ offscreen ] );
+
+		return true;
+	}
+
+	/**
+	 * Internal function to terminate the worker and resume drawing on the main thread
+	 *
+	 * A canvas transferred to an OffscreenCanvas can't be drawn on anymore, so it's replaced by a new one.
+	 */
+	_stopWorker() {
+		var canvas = document.createElement('canvas');
+
+		this._terminateWorker();
+
+		canvas.style = this.canvas.style.cssText;
+		this.canvas.removeEventListener( 'fullscreenchange', this._fullscreenHandler );
+		canvas.addEventListener( 'fullscreenchange', this._fullscreenHandler );
+		if ( this.canvas.parentNode )
+			this.canvas.parentNode.replaceChild( canvas, this.canvas );
+
+		this.canvas = canvas;
+		this.canvasCtx = canvas.getContext( '2d', { alpha: false } );
+		this._setCanvas('create');
+	}
+
+	/**
+	 * Internal function to terminate the worker and reject any requests still waiting for its reply
+	 */
+	_terminateWorker() {
+		this._worker.onmessage = this._worker.onerror = null;
+		this._worker.terminate();
+		this._worker = undefined;
+		this.useWorker = false;
+
+		Object.keys( this._workerRequests ).forEach( id => this._workerRequests[ id ].reject( 'Rendering worker stopped' ) );
+		this._workerRequests = {};
+	}
+
+	/**
+	 * Internal function to send a request to the worker
+	 *
+	 * @param {object} msg message with the request `type` and its parameters
+	 * @returns {Promise} resolves to the worker reply
+	 */
+	_workerRequest( msg ) {
+		return new Promise( ( resolve, reject ) => {
+			msg.id = ++this._workerRequestId;
+			this._workerRequests[ msg.id ] = { resolve: resolve, reject: reject };
+			this._worker.postMessage( msg );
+		});
+	}
+
+	/**
+	 * Internal function to send the current settings to the worker - called whenever settings are changed
+	 *
+	 * The worker only resizes its canvas (which clears the peaks and the spectrogram and goniometer history) when
+	 * the canvas dimensions, pixel ratio or channel height have actually changed.
+	 *
+	 * @param {object} [changes] `layout` - recalculate the bars positions; `gradients` - send and regenerate the gradients
+	 */
+	_syncWorker( changes = {} ) {
+		if ( ! this._worker )
+			return;
+
+		var size = this._canvasSize,
+			msg = {
+				type    : 'settings',
+				options : {},
+				analyzer: { fftSize: this.analyzer.fftSize, minDecibels: this.analyzer.minDecibels, maxDecibels: this.analyzer.maxDecibels },
+				canvas  : {
+					width        : size.width,
+					height       : size.height,
+					pixelRatio   : this.pixelRatio,
+					channelHeight: this.stereo && this.mode != MODE_METERS ? size.height >> 1 : size.height,
+					isFullscreen : this.isFullscreen()
+				},
+				layout  : !! changes.layout
+			},
+			last = this._workerCanvas;
+
+		Object.keys( defaults ).forEach( key => {
+			if ( this[ key ] !== undefined )
+				msg.options[ key ] = this[ key ];
+		});
+
+		if ( changes.gradients )
+			msg.gradients = this._gradients;
+
+		msg.resize = [ 'width', 'height', 'pixelRatio', 'channelHeight' ].some( key => msg.canvas[ key ] != last[ key ] );
+		this._workerCanvas = msg.canvas;
+
+		this._worker.postMessage( msg );
+	}
+
+	/**
+	 * Internal function to get the levels of the analyzer bars in the last frame computed - see getSpectrumData()
+	 *
+	 * @returns {array}
+	 */
+	_getSpectrumData() {
+		var frame = this._currentFrame,
+			data = [];
+
+		if ( frame ) {
+			frame.channels.forEach( channel => {
+				channel.bars.forEach( bar => {
+					data.push( {
+						channel: bar.channel,
+						freq   : bar.freq,
+						level  : bar.db,
+						peak   : this._levelToDb( bar.peak / channel.maxHeight )
+					});
+				});
+			});
+		}
+
+		return data;
+	}
+
+	/**
+	 * Internal function to send the worker the data required to draw a frame
+	 *
+	 * Only the data used by the current settings is sent - settings are sent separately, when changed (see _syncWorker()).
+	 * Frames are skipped while the worker is still busy with the previous one.
+	 */
+	_postFrame() {
+		var mode = this.mode,
+			keys = this.stereo && mode != MODE_SPECTROGRAM ? [ 'ch0', 'ch1' ] : [ 'main' ],
+			frame = { type: 'frame', now: performance.now(), data: {} },
+			transfer = [],
+			capture = ( key, type ) => {
+				var data,
+					analyzer = key == 'main' ? this.analyzer : this._channelAnalyzers[ key[2] ];
+
+				if ( type == 'time' ) {
+					data = new Float32Array( analyzer.fftSize );
+					analyzer.getFloatTimeDomainData( data );
+				}
+				else if ( this.useFloatData ) {
+					data = new Float32Array( analyzer.frequencyBinCount );
+					analyzer.getFloatFrequencyData( data );
+				}
+				else {
+					data = new Uint8Array( analyzer.frequencyBinCount );
+					analyzer.getByteFrequencyData( data );
+				}
+
+				frame.data[ key ] = frame.data[ key ] || {};
+				frame.data[ key ][ type ] = data;
+				transfer.push( data.buffer );
+			};
+
+		if ( this._workerBusy )
+			return;
+
+		if ( ! [ MODE_OSCILLOSCOPE, MODE_METERS, MODE_GONIOMETER ].includes( mode ) )
+			keys.forEach( key => capture( key, 'freq' ) );
+
+		if ( mode == MODE_OSCILLOSCOPE || ( this.showScope && mode != MODE_GONIOMETER ) )
+			keys.forEach( key => capture( key, 'time' ) );
+
+		if ( this.showTuner && ! ( frame.data.main && frame.data.main.time ) )
+			capture( 'main', 'time' );
+
+		// the goniometer uses only the latest samples of each channel
+		if ( mode == MODE_GONIOMETER ) {
+			this._levelNodes.channels.forEach( ( channel, ch ) => {
+				channel.peakAnalyser.getFloatTimeDomainData( channel.peakData );
+				frame.data[ 'level' + ch ] = { time: channel.peakData.slice( -2048 ) };
+				transfer.push( frame.data[ 'level' + ch ].time.buffer );
+			});
+		}
+
+		if ( this.showMeters || mode == MODE_METERS )
+			frame.meters = this._meters;
+
+		if ( this.showLoudness )
+			frame.loudness = this.getLoudness();
+
+		if ( this._drawCallback ) {
+			this._drawCallback( this._canvasSize, this.canvasCtx, this.pixelRatio );
+			frame.commands = this.canvasCtx._commands;
+		}
+
+		this._workerBusy = true;
+		this._worker.postMessage( frame, transfer );
+	}
+
+	/**
+	 * Internal function to draw the oscilloscope (time-domain waveform) for a channel
+	 *
+	 * @param {number} channel channel index - the waveform is drawn on the corresponding area of the canvas
+	 * @param {object} analyzer AnalyserNode to read the time-domain data from
+	 */
+	_drawScope( channel, analyzer ) {
+		var i, y,
+			canvasCtx = this.canvasCtx,
+			height = this._channelHeight,
+			timeData = this._timeData,
+			start = 0,
+			len = timeData.length >> 1; // display half the buffer, so there's always enough data after the trigger point
+
+		analyzer.getFloatTimeDomainData( timeData );
+
+		// look for a rising zero-crossing to start the waveform from
+		if ( this.scopeTrigger ) {
+			for ( i = 1; i < len; i++ ) {
+				if ( timeData[ i - 1 ] < 0 && timeData[ i ] >= 0 ) {
+					start = i;
+					break;
+				}
+			}
+		}
+
+		// the waveform is never flipped, so both channels are drawn as in the stacked layout
+		canvasCtx.setTransform( 1, 0, 0, 1, 0, channel * height );
+
+		canvasCtx.strokeStyle = this._gradients[ this.gradient ].gradient;
+		canvasCtx.lineWidth = this.scopeLineWidth * this.pixelRatio;
+		canvasCtx.lineJoin = 'round';
+		canvasCtx.beginPath();
+
+		for ( i = 0; i < len; i++ ) {
+			y = height / 2 * ( 1 - Math.max( -1, Math.min( 1, timeData[ start + i ] ) ) );
+			if ( i == 0 )
+				canvasCtx.moveTo( 0, y );
+			else
+				canvasCtx.lineTo( i * this.canvas.width / ( len - 1 ), y );
+		}
+
+		canvasCtx.stroke();
+		canvasCtx.setTransform( 1, 0, 0, 1, 0, 0 );
+	}
+
+	/**
+	 * Internal function to draw the spectrogram
+	 *
+	 * The spectrogram history is kept in an auxiliary canvas, which is scrolled and receives a new line of data on each frame,
+	 * using the same frequency mapping as the discrete frequencies mode.
+	 */
+	_drawSpectrogram() {
+		var i, x, n, end, value, line, columns, dataArray,
+			canvas = this.canvas,
+			specCanvas = this._specCanvas,
+			specCtx = this._specCtx,
+			dir = this.spectrogramDir,
+			isVertical = ( dir == 'up' || dir == 'down' ),
+			lineLength = isVertical ? canvas.width : canvas.height,
+			palette = this._gradients[ this.gradient ].palette,
+			bars = this._analyzerBars,
+			now = performance.now();
+
+		// calculate how many lines to scroll, based on the time elapsed since the last frame
+		this._specShift = ( this._specShift || 0 ) + this.spectrogramSpeed * this.pixelRatio * Math.min( now - ( this._specTime || now ), 100 ) / 1000;
+		this._specTime = now;
+
+		n = this._specShift | 0;
+		this._specShift -= n;
+
+		if ( n > 0 ) {
+			dataArray = this._getFrequencyData();
+
+			if ( ! this._specLine || this._specLine.width != ( isVertical ? lineLength : 1 ) || this._specLine.height != ( isVertical ? 1 : lineLength ) )
+				this._specLine = specCtx.createImageData( isVertical ? lineLength : 1, isVertical ? 1 : lineLength );
+
+			if ( ! this._specColumns || this._specColumns.length != canvas.width )
+				this._specColumns = new Uint8Array( canvas.width );
+
+			// level of each pixel column on the X-axis - each bar fills the space up to the next bar's position
+			columns = this._specColumns;
+			columns.fill( 0 );
+			for ( i = 0; i < bars.length; i++ ) {
+				value = this._getBarValue( bars[ i ], dataArray ) * 255 | 0;
+				end = i < bars.length - 1 ? bars[ i + 1 ].posX : canvas.width;
+				for ( x = bars[ i ].posX; x < end; x++ )
+					columns[ x ] = value;
+			}
+
+			// the level sets both color and opacity of each pixel in the new line
+			line = this._specLine.data;
+			for ( i = 0; i < lineLength; i++ ) {
+				value = columns[ isVertical ? i : ( lineLength - 1 - i ) * canvas.width / lineLength | 0 ];
+				line[ i * 4 ]     = palette[ value * 4 ];
+				line[ i * 4 + 1 ] = palette[ value * 4 + 1 ];
+				line[ i * 4 + 2 ] = palette[ value * 4 + 2 ];
+				line[ i * 4 + 3 ] = value;
+			}
+
+			// scroll the history and add the new line(s) to the uncovered edge
+			specCtx.globalCompositeOperation = 'copy';
+			specCtx.drawImage( specCanvas, dir == 'left' ? -n : dir == 'right' ? n : 0, dir == 'up' ? -n : dir == 'down' ? n : 0 );
+			specCtx.globalCompositeOperation = 'source-over';
+
+			for ( i = 0; i < n; i++ ) {
+				if ( dir == 'up' )
+					specCtx.putImageData( this._specLine, 0, canvas.height - 1 - i );
+				else if ( dir == 'down' )
+					specCtx.putImageData( this._specLine, 0, i );
+				else if ( dir == 'left' )
+					specCtx.putImageData( this._specLine, canvas.width - 1 - i, 0 );
+				else
+					specCtx.putImageData( this._specLine, i, 0 );
+			}
+		}
+
+		this.canvasCtx.drawImage( specCanvas, 0, 0 );
+	}
+
+	/**
+	 * Internal function to draw the level graticule - horizontal lines every 10 dB, between minDecibels and maxDecibels
+	 *
+	 * @param {boolean} isRadial true to draw concentric circles for the radial spectrum
+	 */
+	_drawDbScale( isRadial ) {
+		var ch, db, level, pos, lastPos, transform,
+			canvas = this.canvas,
+			reflexRatio = isRadial ? 0 : this._reflexRatio(),
+			canvasCtx = this.canvasCtx,
+			channelHeight = this._channelHeight,
+			centerX = canvas.width / 2,
+			centerY = canvas.height / 2,
+			maxRadius = Math.min( canvas.width, canvas.height ) / 2,
+			innerRadius = maxRadius * this.innerRadius,
+			size = 5 * this.pixelRatio * ( this.isFullscreen() ? 2 : 1 );
+
+		canvasCtx.font = ( size * 2 ) + 'px sans-serif';
+		canvasCtx.textAlign = isRadial ? 'center' : 'left';
+		canvasCtx.textBaseline = 'middle';
+		canvasCtx.lineWidth = 1;
+		canvasCtx.strokeStyle = '#fff3';
+		canvasCtx.fillStyle = '#fffc';
+
+		for ( ch = 0; ch < ( this.stereo ? 2 : 1 ); ch++ ) {
+			lastPos = -Infinity;
+
+			for ( db = Math.floor( this.analyzer.maxDecibels / 10 ) * 10; db > this.analyzer.minDecibels; db -= 10 ) {
+				level = this._dbToLevel( db );
+
+				// distance from the bars base, in pixels - in linear amplitude mode, lines get too close together at the lower levels
+				pos = level * ( isRadial ? ( ch == 0 ? maxRadius - innerRadius : innerRadius ) : channelHeight * ( 1 - reflexRatio ) );
+				if ( Math.abs( pos - lastPos ) < size * 2 )
+					continue;
+				lastPos = pos;
+
+				canvasCtx.beginPath();
+				if ( isRadial ) {
+					pos = ch == 0 ? innerRadius + pos : innerRadius - pos;
+					canvasCtx.arc( centerX, centerY, pos, 0, 2 * Math.PI );
+					canvasCtx.stroke();
+					canvasCtx.fillText( db, centerX, centerY - pos );
+				}
+				else {
+					// same coordinates used to draw the bars
+					transform = this._channelTransform( ch, reflexRatio );
+					pos = transform[0] * ( channelHeight - level * channelHeight ) + transform[1];
+
+					canvasCtx.moveTo( 0, pos );
+					canvasCtx.lineTo( canvas.width, pos );
+					canvasCtx.stroke();
+					canvasCtx.fillText( db, size, pos );
+				}
+			}
+		}
+
+		canvasCtx.textBaseline = 'alphabetic';
+	}
+
+	/**
+	 * Internal function to detect beats (energy onsets) in each of the beat detection bands, using the main analyzer data
+	 *
+	 * A beat is detected when the band's energy rises above its moving average (time constant of one second) by beatThreshold dB.
+	 *
+	 * @param {number} now current time, in milliseconds
+	 * @param {number} frameTime time elapsed since the previous frame, in milliseconds
+	 */
+	_detectBeats( now, frameTime ) {
+		var i, power, level, state, interval, intervals,
+			dataArray = this._getFrequencyData(),
+			binWidth = this.audioCtx.sampleRate / this.analyzer.fftSize,
+			minDb = this.analyzer.minDecibels,
+			maxDb = this.analyzer.maxDecibels;
+
+		Object.keys( this.beatBands ).forEach( ( band, index ) => {
+			var [ minIdx, maxIdx ] = this.beatBands[ band ].map( freq => Math.min( Math.round( freq / binWidth ), dataArray.length - 1 ) );
+
+			// average power of the band, in dB
+			power = 0;
+			for ( i = minIdx; i <= maxIdx; i++ ) {
+				if ( this.useFloatData )
+					power += 10 ** ( dataArray[ i ] / 10 );
+				else if ( dataArray[ i ] ) // zero is below minDecibels
+					power += 10 ** ( ( minDb + dataArray[ i ] / 255 * ( maxDb - minDb ) ) / 10 );
+			}
+			level = 10 * Math.log10( power / ( maxIdx - minIdx + 1 ) );
+
+			if ( ! this._beatState[ band ] )
+				this._beatState[ band ] = { average: level, isAbove: false, lastBeat: 0, intervals: [] };
+
+			state = this._beatState[ band ];
+
+			if ( level == -Infinity ) { // silence
+				state.isAbove = false;
+				return;
+			}
+			if ( state.average == -Infinity )
+				state.average = level;
+
+			// trigger only when the level crosses the threshold, at most four times per second (240 BPM)
+			if ( level - state.average >= this.beatThreshold ) {
+				interval = now - state.lastBeat;
+				if ( ! state.isAbove && interval >= 250 ) {
+					// tempo is estimated from the median of the last intervals between beats in the first band - only intervals
+					// from 250 to 1500ms (240 to 40 BPM) are considered
+					if ( index == 0 && interval >= 250 && interval <= 1500 ) {
+						state.intervals.push( interval );
+						if ( state.intervals.length > 16 )
+							state.intervals.shift();
+						intervals = state.intervals.slice().sort( ( a, b ) => a - b );
+						this.bpm = intervals.length < 4 ? 0 : Math.round( 600000 / intervals[ intervals.length >> 1 ] ) / 10;
+					}
+					state.lastBeat = now;
+					if ( this._beatCallback ) // the callback may have been cleared by a previous event
+						this._beatCallback( { band: band, strength: level - state.average, bpm: this.bpm } );
+				}
+				state.isAbove = true;
+			}
+			else
+				state.isAbove = false;
+
+			state.average += ( level - state.average ) * Math.min( 1, frameTime / 1000 );
+		});
+	}
+
+	/**
+	 * Internal function to update loudness measurements - called on every frame while the loudness meter is on
+	 *
+	 * The K-weighted samples received since the previous frame are accumulated into 100ms sub-blocks. Momentary loudness is
+	 * the mean energy of the last 4 sub-blocks (400ms) and short-term loudness of the last 30 sub-blocks (3s), so both windows
+	 * are updated every 100ms. Blocks are added to histograms for gating, so measurements take constant time and memory.
+	 */
+	_measureLoudness() {
+		var i, j, k, start, sample, subBlock,
+			state = this._loudness,
+			nodes = this._levelNodes,
+			sampleRate = this.audioCtx.sampleRate,
+			now = this.audioCtx.currentTime,
+			subBlockSize = Math.round( .1 * sampleRate ),
+			sampleTime = Math.round( now * sampleRate ),
+			// mean energy of the last `count` sub-blocks, added to the histogram if above the absolute gate
+			addBlock = ( count, blocks ) => {
+				var energy = state.subBlocks.slice( -count ).reduce( ( a, b ) => a + b ) / count,
+					loudness = this._loudnessValue( energy );
+
+				if ( loudness > -70 ) {
+					blocks.histogram[ Math.min( LOUDNESS_BINS - 1, ( loudness + 70 ) * 10 | 0 ) ]++;
+					blocks.sum += energy;
+					blocks.count++;
+				}
+
+				return loudness;
+			};
+
+		// true-peak - scan the samples received since the previous frame, with 4x oversampling
+		start = Math.round( ( now - state.peakTime ) * sampleRate ) + 12;
+		state.peakTime = now;
+
+		nodes.channels.forEach( channel => {
+			var data = channel.peakData,
+				length = data.length;
+
+			channel.peakAnalyser.getFloatTimeDomainData( data );
+
+			for ( i = Math.max( 5, length - start ); i < length - 6; i++ ) {
+				state.truePeak = Math.max( state.truePeak, Math.abs( data[ i ] ) );
+				for ( j = 0; j < 3; j++ ) {
+					sample = 0;
+					for ( k = 0; k < 12; k++ )
+						sample += data[ i + k - 5 ] * nodes.taps[ j ][ k ];
+					state.truePeak = Math.max( state.truePeak, Math.abs( sample ) );
+				}
+			}
+		});
+
+		// K-weighted samples received since the previous frame - if frames were interrupted for longer than the analyzer
+		// buffer (over 170ms at 192kHz), the samples in between are lost
+		nodes.channels.forEach( channel => channel.kAnalyser.getFloatTimeDomainData( channel.kData ) );
+		start = Math.max( 0, nodes.channels[0].kData.length - ( sampleTime - state.sampleTime ) );
+		state.sampleTime = sampleTime;
+		subBlock = false;
+
+		for ( i = start; i < nodes.channels[0].kData.length; i++ ) {
+			nodes.channels.forEach( channel => state.energy += channel.kData[ i ] ** 2 );
+
+			if ( ++state.samples == subBlockSize ) {
+				state.subBlocks.push( state.energy / subBlockSize );
+				if ( state.subBlocks.length > 30 )
+					state.subBlocks.shift();
+
+				if ( state.subBlocks.length >= 4 )
+					state.momentary = addBlock( 4, state.blocks );
+				if ( state.subBlocks.length == 30 )
+					state.shortTerm = addBlock( 30, state.shortTermBlocks );
+
+				state.energy = state.samples = 0;
+				subBlock = true;
+			}
+		}
+
+		if ( ! subBlock )
+			return;
+
+		// integrated loudness - absolute gate at -70 LUFS, then relative gate at -10 LU below the absolute-gated loudness
+		state.integrated = this._gatedLoudness( state.blocks, -10 );
+
+		// loudness range (EBU Tech 3342) - relative gate at -20 LU, then the difference between the 10th and 95th percentiles
+		state.range = this._gatedLoudness( state.shortTermBlocks, -20, [ .1, .95 ] );
+	}
+
+	/**
+	 * Internal function to apply the relative gate defined by ITU-R BS.1770 to a loudness histogram, whose blocks are
+	 * already above the absolute gate
+	 *
+	 * @param {object} blocks { histogram, sum, count } of the blocks above the absolute gate
+	 * @param {number} relativeGate relative threshold in LU
+	 * @param {array} [percentiles] if defined, returns the difference between the loudness at these two percentiles
+	 *                              of the gated blocks, instead of their mean loudness
+	 * @returns {number} loudness in LUFS, or range in LU; -Infinity when no blocks pass the gates
+	 */
+	_gatedLoudness( blocks, relativeGate, percentiles ) {
+		var bin, energy, count, total, low,
+			histogram = blocks.histogram,
+			threshold = blocks.count ? this._loudnessValue( blocks.sum / blocks.count ) + relativeGate : Infinity,
+			first = Math.max( 0, Math.ceil( ( threshold + 70 ) * 10 ) );
+
+		energy = total = 0;
+		for ( bin = first; bin < LOUDNESS_BINS; bin++ ) {
+			energy += histogram[ bin ] * loudnessBinEnergy[ bin ];
+			total += histogram[ bin ];
+		}
+
+		if ( ! total )
+			return -Infinity;
+
+		if ( ! percentiles )
+			return this._loudnessValue( energy / total );
+
+		// loudness of the bins where the cumulative count reaches each percentile
+		count = 0;
+		for ( bin = first; bin < LOUDNESS_BINS; bin++ ) {
+			count += histogram[ bin ];
+			if ( low === undefined && count > total * percentiles[0] )
+				low = bin;
+			if ( count > total * percentiles[1] || count == total )
+				return ( bin - low ) / 10;
+		}
+	}
+
+	/**
+	 * Internal function to convert the mean square energy of the K-weighted channels into loudness
+	 *
+	 * @param {number} energy
+	 * @returns {number} loudness in LUFS
+	 */
+	_loudnessValue( energy ) {
+		return -.691 + 10 * Math.log10( energy );
+	}
+
+	/**
+	 * Internal function to draw the loudness meter over the right edge of the canvas
+	 */
+	_drawLoudness() {
+		var canvas = this.canvas,
+			canvasCtx = this.canvasCtx,
+			loudness = this.getLoudness(),
+			size = 10 * this.pixelRatio * ( this.isFullscreen() ? 2 : 1 ),
+			width = size * 13,
+			left = canvas.width - width,
+			top = size * 3,
+			bottom = canvas.height - size * 9,
+			// meter scale goes from -60 to 0 LUFS
+			posY = value => top + ( bottom - top ) * Math.min( 1, Math.max( 0, -value / 60 ) ),
+			format = value => value > -Infinity ? value.toFixed(1) : '-\u221e',
+			level;
+
+		canvasCtx.fillStyle = '#000c';
+		canvasCtx.fillRect( left, 0, width, canvas.height );
+
+		canvasCtx.font = `${ size * 1.2 }px sans-serif`;
+		canvasCtx.textBaseline = 'middle';
+
+		if ( bottom > top ) {
+			canvasCtx.textAlign = 'right';
+			canvasCtx.fillStyle = '#fff8';
+			for ( level = 0; level >= -60; level -= 10 ) {
+				canvasCtx.fillText( level, left + size * 4, posY( level ) );
+				canvasCtx.fillRect( left + size * 4.5, posY( level ), size * 7.5, 1 );
+			}
+
+			// momentary and short-term bars
+			canvasCtx.textAlign = 'center';
+			[ [ 'M', loudness.momentary ], [ 'S', loudness.shortTerm ] ].forEach( ( [ label, value ], index ) => {
+				var x = left + size * ( 5.5 + index * 3.5 );
+				canvasCtx.fillStyle = '#fff';
+				canvasCtx.fillText( label, x + size, top - size * 1.5 );
+				canvasCtx.fillStyle = value > this.loudnessTarget ? '#f80' : '#0c0';
+				canvasCtx.fillRect( x, posY( value ), size * 2, bottom - posY( value ) );
+			});
+
+			// target level
+			canvasCtx.fillStyle = '#0ff';
+			canvasCtx.fillRect( left + size * 4.5, posY( this.loudnessTarget ) - 1, size * 7.5, 2 );
+		}
+
+		canvasCtx.textAlign = 'left';
+		canvasCtx.fillStyle = '#fff';
+		[
+			`M ${ format( loudness.momentary ) }  S ${ format( loudness.shortTerm ) }`,
+			`I ${ format( loudness.integrated ) } LUFS`,
+			`LRA ${ format( loudness.range ) } LU`,
+			`TP ${ format( loudness.truePeak ) } dBTP`
+		].forEach( ( text, index ) => canvasCtx.fillText( text, left + size, canvas.height - size * ( 7 - index * 2 ) ) );
+
+		canvasCtx.textBaseline = 'alphabetic';
+	}
+
+	/**
+	 * Internal function to update the level meters with the samples received since the previous frame
+	 */
+	_updateMeters() {
+		var meters = this._meters,
+			now = this.audioCtx.currentTime,
+			dt = now - meters.time,
+			clipTime = performance.now();
+
+		meters.time = now;
+
+		if ( dt <= 0 )
+			return;
+
+		this._levelNodes.channels.forEach( ( channel, ch ) => {
+			var i, sample,
+				data = channel.peakData,
+				length = data.length,
+				start = Math.max( 0, length - Math.round( dt * this.audioCtx.sampleRate ) ),
+				sum = 0,
+				peak = 0;
+
+			channel.peakAnalyser.getFloatTimeDomainData( data );
+
+			for ( i = start; i < length; i++ ) {
+				sample = Math.abs( data[ i ] );
+				sum += sample ** 2;
+				if ( sample > peak )
+					peak = sample;
+			}
+
+			if ( peak >= 1 )
+				meters.clip[ ch ] = clipTime;
+
+			// VU - first-order integration of the mean square, reaching 99% of a steady level in 300ms
+			if ( start < length )
+				meters.vu[ ch ] += ( sum / ( length - start ) - meters.vu[ ch ] ) * ( 1 - Math.exp( -dt / .065 ) );
+
+			// PPM - instant attack, return rate of 24 dB in 2.8 seconds
+			meters.ppm[ ch ] = Math.max( 20 * Math.log10( peak ), meters.ppm[ ch ] - 24 / 2.8 * dt );
+		});
+	}
+
+	/**
+	 * Internal function to get the current reading of a level meter
+	 *
+	 * @param {number} channel 0 = left; 1 = right
+	 * @returns {number} level in VU or dB, relative to the meters reference level
+	 */
+	_getMeterReading( channel ) {
+		var meters = this._meters;
+
+		if ( this.meterType == 'ppm' )
+			return meters.ppm[ channel ] - this.meterReference;
+
+		return 10 * Math.log10( meters.vu[ channel ] ) - this.meterReference;
+	}
+
+	/**
+	 * Internal function to convert a level meter reading into a normalized value
+	 *
+	 * VU meters range from -20 to +3 VU; PPM meters range from -40 dB up to digital full scale - see _meterRange()
+	 *
+	 * @param {number} value level in VU or dB, relative to the meters reference level
+	 * @returns {number} value between 0 and 1
+	 */
+	_meterLevel( value ) {
+		var [ min, max ] = this._meterRange();
+
+		return Math.min( 1, Math.max( 0, ( value - min ) / ( max - min ) ) );
+	}
+
+	/**
+	 * Internal function to get the scale range of the current level meter type
+	 *
+	 * @returns {array} lowest and highest levels in VU or dB, relative to the meters reference level
+	 */
+	_meterRange() {
+		return this.meterType == 'ppm' ? [ -40, -this.meterReference ] : [ -20, 3 ];
+	}
+
+	/**
+	 * Internal function to get the scale marks for the current level meter type
+	 *
+	 * @returns {array} levels in VU or dB, relative to the meters reference level
+	 */
+	_getMeterMarks() {
+		var mark,
+			marks = [];
+
+		if ( this.meterType != 'ppm' )
+			return [ -20, -10, -7, -5, -3, 0, 3 ];
+
+		for ( mark = -40; mark < -this.meterReference; mark += 10 )
+			marks.push( mark );
+
+		return marks;
+	}
+
+	/**
+	 * Internal function to draw the level meters side panel over the left edge of the canvas
+	 */
+	_drawMeters() {
+		var canvas = this.canvas,
+			canvasCtx = this.canvasCtx,
+			now = performance.now(),
+			size = 10 * this.pixelRatio * ( this.isFullscreen() ? 2 : 1 ),
+			width = size * 10,
+			top = size * 3,
+			bottom = canvas.height - size * 3,
+			segmentHeight = size * .6,
+			gap = this.showLeds ? Math.max( 1, size * .15 | 0 ) : 0,
+			nSegments = ( bottom - top ) / segmentHeight | 0,
+			posY = value => bottom - nSegments * segmentHeight * this._meterLevel( value );
+
+		canvasCtx.fillStyle = '#000c';
+		canvasCtx.fillRect( 0, 0, width, canvas.height );
+
+		canvasCtx.font = `${ size * 1.2 }px sans-serif`;
+		canvasCtx.textAlign = 'center';
+		canvasCtx.textBaseline = 'middle';
+
+		if ( nSegments > 0 ) {
+			canvasCtx.fillStyle = '#fff8';
+			this._getMeterMarks().forEach( mark => canvasCtx.fillText( mark > 0 ? '+' + mark : mark, size * 2.5, posY( mark ) ) );
+
+			[ 0, 1 ].forEach( channel => {
+				var i,
+					left = size * ( 5 + channel * 2.5 ),
+					lit = Math.round( this._meterLevel( this._getMeterReading( channel ) ) * nSegments );
+
+				// each segment takes its color from the gradient palette, according to its height
+				for ( i = 0; i < lit; i++ ) {
+					canvasCtx.fillStyle = this._paletteColor( ( i + .5 ) / nSegments );
+					canvasCtx.fillRect( left, bottom - ( i + 1 ) * segmentHeight + gap, size * 2, segmentHeight - gap );
+				}
+
+				// clip indicator
+				canvasCtx.fillStyle = now - this._meters.clip[ channel ] < 2000 ? '#f00' : '#400';
+				canvasCtx.fillRect( left, size, size * 2, size );
+
+				canvasCtx.fillStyle = '#fff';
+				canvasCtx.fillText( channel ? 'R' : 'L', left + size, canvas.height - size * 1.5 );
+			});
+		}
+
+		canvasCtx.fillText( this.meterType.toUpperCase(), size * 2.5, size * 1.5 );
+		canvasCtx.textBaseline = 'alphabetic';
+	}
+
+	/**
+	 * Internal function to draw the goniometer and the phase correlation meter
+	 *
+	 * The trace shows the mid (L+R) signal on the vertical axis and the side (L-R) signal on the horizontal axis,
+	 * so a mono signal draws a vertical line and signals on one channel only are drawn along the diagonals.
+	 */
+	_drawGoniometer() {
+		var i, x, y, left, right,
+			canvas = this.canvas,
+			canvasCtx = this.canvasCtx,
+			trailCtx = this._gonioCtx,
+			channels = this._levelNodes.channels,
+			leftData = channels[0].peakData,
+			rightData = channels[1].peakData,
+			length = leftData.length,
+			start = length - 2048,
+			centerX = canvas.width / 2,
+			centerY = canvas.height / 2,
+			radius = Math.min( centerX, centerY ),
+			scale = radius * this.goniometerZoom * Math.SQRT1_2,
+			size = 10 * this.pixelRatio * ( this.isFullscreen() ? 2 : 1 ),
+			sumLR = 0,
+			sumL = 0,
+			sumR = 0;
+
+		channels.forEach( channel => channel.peakAnalyser.getFloatTimeDomainData( channel.peakData ) );
+
+		// fade out the previous trace
+		trailCtx.globalCompositeOperation = 'destination-out';
+		trailCtx.fillStyle = `rgba( 0, 0, 0, ${ 1 - this.goniometerPersistence } )`;
+		trailCtx.fillRect( 0, 0, canvas.width, canvas.height );
+		trailCtx.globalCompositeOperation = 'source-over';
+
+		trailCtx.strokeStyle = this._gradients[ this.gradient ].radialGradient;
+		trailCtx.lineWidth = this.pixelRatio;
+		trailCtx.beginPath();
+
+		for ( i = start; i < length; i++ ) {
+			left = leftData[ i ];
+			right = rightData[ i ];
+
+			sumLR += left * right;
+			sumL += left ** 2;
+			sumR += right ** 2;
+
+			x = centerX + ( right - left ) * scale;
+			y = centerY - ( left + right ) * scale;
+
+			if ( i == start )
+				trailCtx.moveTo( x, y );
+			else
+				trailCtx.lineTo( x, y );
+		}
+
+		trailCtx.stroke();
+
+		// phase correlation, smoothed over a few frames
+		this.correlation += ( ( sumL && sumR ? sumLR / Math.sqrt( sumL * sumR ) : 0 ) - this.correlation ) * .2;
+
+		// graticule - mid, side and left / right channel axes
+		canvasCtx.strokeStyle = '#fff3';
+		canvasCtx.lineWidth = 1;
+		canvasCtx.beginPath();
+		canvasCtx.moveTo( centerX, centerY - radius );
+		canvasCtx.lineTo( centerX, centerY + radius );
+		canvasCtx.moveTo( centerX - radius, centerY );
+		canvasCtx.lineTo( centerX + radius, centerY );
+		canvasCtx.moveTo( centerX - radius * Math.SQRT1_2, centerY - radius * Math.SQRT1_2 );
+		canvasCtx.lineTo( centerX + radius * Math.SQRT1_2, centerY + radius * Math.SQRT1_2 );
+		canvasCtx.moveTo( centerX + radius * Math.SQRT1_2, centerY - radius * Math.SQRT1_2 );
+		canvasCtx.lineTo( centerX - radius * Math.SQRT1_2, centerY + radius * Math.SQRT1_2 );
+		canvasCtx.stroke();
+
+		canvasCtx.font = `${ size * 1.5 }px sans-serif`;
+		canvasCtx.textAlign = 'center';
+		canvasCtx.textBaseline = 'middle';
+		canvasCtx.fillStyle = '#fff8';
+		canvasCtx.fillText( 'M', centerX + size, centerY - radius + size );
+		canvasCtx.fillText( 'L', centerX - radius * Math.SQRT1_2 + size, centerY - radius * Math.SQRT1_2 );
+		canvasCtx.fillText( 'R', centerX + radius * Math.SQRT1_2 - size, centerY - radius * Math.SQRT1_2 );
+
+		canvasCtx.drawImage( this._gonioCanvas, 0, 0 );
+
+		// correlation meter, from -1 (out of phase) to +1 (mono) at the bottom of the canvas
+		var width = Math.min( canvas.width - size * 8, size * 40 ),
+			top = canvas.height - size * 4;
+
+		canvasCtx.fillStyle = '#000c';
+		canvasCtx.fillRect( 0, top - size * 2, canvas.width, size * 6 );
+
+		canvasCtx.fillStyle = '#fff8';
+		canvasCtx.fillRect( centerX - width / 2, top, width, 1 );
+		[ -1, 0, 1 ].forEach( value => {
+			x = centerX + value * width / 2;
+			canvasCtx.fillRect( x, top - size / 2, 1, size );
+			canvasCtx.fillText( value > 0 ? '+1' : value, x, top + size * 1.5 );
+		});
+
+		canvasCtx.fillStyle = this.correlation < 0 ? '#f00' : '#0c0';
+		canvasCtx.fillRect( centerX + this.correlation * width / 2 - size / 2, top - size, size, size * 2 );
+
+		canvasCtx.textBaseline = 'alphabetic';
+	}
+
+	/**
+	 * Internal function to draw the tuner overlay, at the top center of the canvas
+	 */
+	_drawTuner() {
+		var note, cents, color,
+			canvas = this.canvas,
+			canvasCtx = this.canvasCtx,
+			now = performance.now(),
+			size = 10 * this.pixelRatio * ( this.isFullscreen() ? 2 : 1 ),
+			boxWidth = size * 16,
+			boxHeight = size * 8,
+			left = ( canvas.width - boxWidth ) / 2,
+			top = size,
+			center = canvas.width / 2;
+
+		// pitch detection is expensive, so it's not performed on every frame
+		if ( ! ( now - this._tunerTime < 50 ) ) {
+			this._tunerTime = now;
+			this._tunerFreq = this._detectPitch();
+		}
+
+		canvasCtx.fillStyle = '#000c';
+		canvasCtx.fillRect( left, top, boxWidth, boxHeight );
+
+		canvasCtx.textAlign = 'center';
+
+		if ( ! this._tunerFreq ) {
+			canvasCtx.fillStyle = '#888';
+			canvasCtx.font = `bold ${ size * 3 }px sans-serif`;
+			canvasCtx.fillText( '--', center, top + size * 4 );
+			return;
+		}
+
+		// note number, counting from C0 (A4 = 440 Hz = note #57)
+		note = 12 * Math.log2( this._tunerFreq / 440 ) + 57;
+		cents = Math.round( ( note - Math.round( note ) ) * 100 );
+		note = Math.round( note );
+		color = Math.abs( cents ) <= 5 ? '#0f0' : Math.abs( cents ) <= 15 ? '#ff0' : '#f80';
+
+		canvasCtx.fillStyle = color;
+		canvasCtx.font = `bold ${ size * 3 }px sans-serif`;
+		canvasCtx.fillText( noteNames[ note % 12 ] + Math.floor( note / 12 ), center, top + size * 3.5 );
+
+		canvasCtx.fillStyle = '#fff';
+		canvasCtx.font = `${ size * 1.2 }px sans-serif`;
+		canvasCtx.fillText( ( cents > 0 ? '+' : '' ) + cents + ' cents  ' + this._tunerFreq.toFixed(1) + ' Hz', center, top + size * 5.5 );
+
+		// deviation meter, from -50 to +50 cents
+		canvasCtx.fillStyle = '#fff6';
+		canvasCtx.fillRect( left + size, top + size * 6.75, boxWidth - size * 2, 1 );
+		canvasCtx.fillRect( center - 1, top + size * 6.25, 2, size );
+		canvasCtx.fillStyle = color;
+		canvasCtx.fillRect( center + cents / 50 * ( boxWidth / 2 - size ) - size / 4, top + size * 6.25, size / 2, size );
+	}
+
+	/**
+	 * Internal function to detect the fundamental frequency of the signal in the main analyzer, using the YIN algorithm
+	 *
+	 * @returns {number} frequency in Hz, or zero if no pitch could be detected
+	 */
+	_detectPitch() {
+		var tau, j, delta, sum, x0, x2, shift,
+			data = this._timeData,
+			sampleRate = this.audioCtx.sampleRate,
+			minLag = Math.floor( sampleRate / 2000 ),                             // highest detectable pitch: 2 kHz
+			maxLag = Math.min( Math.ceil( sampleRate / 40 ), data.length >> 1 ), // lowest detectable pitch: 40 Hz
+			size = Math.min( data.length - maxLag, 2048 ),                        // integration window
+			diff = this._pitchDiff;
+
+		this.analyzer.getFloatTimeDomainData( data );
+
+		// ignore signals too quiet to be reliably detected
+		sum = 0;
+		for ( j = 0; j < size; j++ )
+			sum += data[ j ] ** 2;
+		if ( Math.sqrt( sum / size ) < .01 )
+			return 0;
+
+		if ( ! diff || diff.length != maxLag + 1 )
+			diff = this._pitchDiff = new Float32Array( maxLag + 1 );
+
+		// cumulative mean normalized difference function
+		diff[0] = 1;
+		sum = 0;
+		for ( tau = 1; tau <= maxLag; tau++ ) {
+			delta = 0;
+			for ( j = 0; j < size; j++ )
+				delta += ( data[ j ] - data[ j + tau ] ) ** 2;
+			sum += delta;
+			diff[ tau ] = sum ? delta * tau / sum : 1;
+		}
+
+		// the period is the first dip below the threshold
+		for ( tau = minLag; tau < maxLag; tau++ ) {
+			if ( diff[ tau ] < .15 ) {
+				while ( tau + 1 < maxLag && diff[ tau + 1 ] < diff[ tau ] )
+					tau++;
+				break;
+			}
+		}
+
+		if ( tau >= maxLag )
+			return 0;
+
+		// refine the period with parabolic interpolation
+		x0 = diff[ tau - 1 ];
+		x2 = diff[ tau + 1 ];
+		shift = x0 + x2 - 2 * diff[ tau ];
+		shift = shift ? ( x0 - x2 ) / ( 2 * shift ) : 0;
+
+		return sampleRate / ( tau + shift );
+	}
+
+	/**
+	 * Internal function to read the current frequency data from one of the analyzer nodes
+	 *
+	 * @param {number} [channel] channel analyzer to read from, in stereo mode; if undefined, reads from the main analyzer
+	 * @returns {Uint8Array|Float32Array} byte values or float dB values, according to the useFloatData setting
+	 */
+	_getFrequencyData( channel ) {
+		var analyzer = channel === undefined ? this.analyzer : this._channelAnalyzers[ channel ],
+			dataArray;
+
+		if ( this.useFloatData ) {
+			dataArray = channel === undefined ? this._floatData : this._channelFloatData[ channel ];
+			analyzer.getFloatFrequencyData( dataArray );
+		}
+		else {
+			dataArray = channel === undefined ? this.dataArray : this._channelData[ channel ];
+			analyzer.getByteFrequencyData( dataArray );
+		}
+
+		return dataArray;
+	}
+
+	/**
+	 * Internal function to convert a dB value to a normalized level, according to the current sensitivity and amplitude settings
+	 *
+	 * @param {number} db
+	 * @returns {number} value from 0 to 1
+	 */
+	_dbToLevel( db ) {
+		var minDb = this.analyzer.minDecibels,
+			maxDb = this.analyzer.maxDecibels,
+			level = this.linearAmplitude ? 10 ** ( ( db - maxDb ) / 20 ) : ( db - minDb ) / ( maxDb - minDb );
+
+		return Math.max( 0, Math.min( 1, level ) );
+	}
+
+	/**
+	 * Internal function to convert a normalized level back to dB - the inverse of _dbToLevel(), or of _meterLevel() in level meters mode
+	 *
+	 * @param {number} level value from 0 to 1
+	 * @returns {number} level in dB (dBFS for the level meters); levels at the bottom of the scale return -Infinity
+	 */
+	_levelToDb( level ) {
+		var minDb = this.analyzer.minDecibels,
+			maxDb = this.analyzer.maxDecibels,
+			range = this._meterRange();
+
+		if ( level <= 0 )
+			return -Infinity;
+
+		if ( this.mode == MODE_METERS )
+			return range[0] + level * ( range[1] - range[0] ) + this.meterReference;
+
+		return this.linearAmplitude ? maxDb + 20 * Math.log10( level ) : minDb + level * ( maxDb - minDb );
+	}
+
+	/**
+	 * Internal function to get the level of an analyzer bar from the FFT data
+	 *
+	 * @param {object} bar element of the analyzerBars array
+	 * @param {object} dataArray frequency data read from the analyzer node - byte or float values
+	 * @returns {number} normalized level, from 0 to 1
+	 */
+	_getBarValue( bar, dataArray ) {
+		return this._dbToLevel( this._getBarDb( bar, dataArray ) );
+	}
+
+	/**
+	 * Internal function to get the level of an analyzer bar from the FFT data, in dB, with the weighting filter applied
+	 *
+	 * @param {object} bar element of the analyzerBars array
+	 * @param {object} dataArray frequency data read from the analyzer node - byte or float values
+	 * @returns {number} level in dB - byte values below minDecibels return -Infinity
+	 */
+	_getBarDb( bar, dataArray ) {
+		var j, value,
+			minDb = this.analyzer.minDecibels,
+			maxDb = this.analyzer.maxDecibels;
+
+		if ( bar.endIdx == 0 ) 	// single FFT bin
+			value = dataArray[ bar.dataIdx ];
+		else if ( bar.sum ) {
+			// range of bins - total power of the band, in dB (zeroed byte values are below minDecibels, so they are ignored)
+			value = 0;
+			for ( j = bar.dataIdx; j <= bar.endIdx; j++ ) {
+				if ( this.useFloatData )
+					value += 10 ** ( dataArray[ j ] / 10 );
+				else if ( dataArray[ j ] )
+					value += 10 ** ( ( minDb + dataArray[ j ] / 255 * ( maxDb - minDb ) ) / 10 );
+			}
+			return 10 * Math.log10( value ) + bar.weight;
+		}
+		else if ( bar.average ) {
+			// range of bins - use the average value of the range
+			value = 0;
+			for ( j = bar.dataIdx; j <= bar.endIdx; j++ )
+				value += dataArray[ j ];
+			value = value / ( bar.endIdx - bar.dataIdx + 1 );
+		}
+		else {
+			// use the highest value in the range
+			value = -Infinity;
+			for ( j = bar.dataIdx; j <= bar.endIdx; j++ )
+				value = Math.max( value, dataArray[ j ] );
+		}
+
+		// float data is already in dB; byte values are mapped linearly between minDecibels and maxDecibels
+		if ( ! this.useFloatData ) {
+			// byte values below minDecibels are clipped to zero, so weighting can't tell them apart
+			if ( value == 0 )
+				return -Infinity;
+			value = minDb + value / 255 * ( maxDb - minDb );
+		}
+
+		return value + bar.weight;
+	}
+
+	/**
+	 * Internal function to calculate the gain of the selected weighting filter for a given frequency
+	 *
+	 * Formulas for A, B, C and D-weighting are from IEC 61672-1 and IEC 537; ITU-R 468 is from ITU-R BS.468-4
+	 *
+	 * @param {number} freq frequency in Hz
+	 * @returns {number} gain in dB - zero if no weighting filter is selected
+	 */
+	_getWeighting( freq ) {
+		var f2 = freq ** 2,
+			rA, rB, rC, h, h1, h2;
+
+		switch ( this.weightingFilter ) {
+			case 'A':
+				rA = 12194 ** 2 * f2 ** 2 / ( ( f2 + 20.6 ** 2 ) * Math.sqrt( ( f2 + 107.7 ** 2 ) * ( f2 + 737.9 ** 2 ) ) * ( f2 + 12194 ** 2 ) );
+				return 2 + 20 * Math.log10( rA );
+
+			case 'B':
+				rB = 12194 ** 2 * f2 * freq / ( ( f2 + 20.6 ** 2 ) * Math.sqrt( f2 + 158.5 ** 2 ) * ( f2 + 12194 ** 2 ) );
+				return .17 + 20 * Math.log10( rB );
+
+			case 'C':
+				rC = 12194 ** 2 * f2 / ( ( f2 + 20.6 ** 2 ) * ( f2 + 12194 ** 2 ) );
+				return .06 + 20 * Math.log10( rC );
+
+			case 'D':
+				h = ( ( 1037918.48 - f2 ) ** 2 + 1080768.16 * f2 ) / ( ( 9837328 - f2 ) ** 2 + 11723776 * f2 );
+				return 20 * Math.log10( freq / 6.8966888496476e-5 * Math.sqrt( h / ( ( f2 + 79919.29 ) * ( f2 + 1345600 ) ) ) );
+
+			case '468':
+				h1 = -4.737338981378384e-24 * freq ** 6 + 2.043828333606125e-15 * freq ** 4 - 1.363894795463638e-7 * f2 + 1;
+				h2 = 1.306612257412824e-19 * freq ** 5 - 2.118150887518656e-11 * freq ** 3 + 5.559488023498642e-4 * freq;
+				return 18.2 + 20 * Math.log10( 1.246332637532143e-4 * freq / Math.sqrt( h1 ** 2 + h2 ** 2 ) );
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Internal function to get the nominal mid-band frequency of an ISO / ANSI band
+	 *
+	 * Octave, half-octave, 1/3rd and 1/6th-octave bands use the closest R40 preferred number;
+	 * narrower bands are rounded to three significant digits.
+	 *
+	 * @param {number} freq exact mid-band frequency
+	 * @param {number} bands number of bands per octave
+	 * @returns {number}
+	 */
+	_nominalFreq( freq, bands ) {
+		var decade = 10 ** Math.floor( Math.log10( freq ) ),
+			value = freq / decade;
+
+		if ( bands > 6 )
+			return +freq.toPrecision( 3 );
+
+		value = preferredNumbers.reduce( ( prev, curr ) => Math.abs( curr - value ) < Math.abs( prev - value ) ? curr : prev );
+		return +( value * decade ).toPrecision( 3 ); // avoid floating point errors
+	}
+
+	/**
+	 * Internal function to convert a frequency to the units of the selected frequency scale
+	 *
+	 * Bark conversion uses Traunmüller's formula; Mel uses O'Shaughnessy's
+	 *
+	 * @param {number} freq frequency in Hz
+	 * @returns {number}
+	 */
+	_freqToScale( freq ) {
+		switch ( this.frequencyScale ) {
+			case 'linear':
+				return freq;
+			case 'bark':
+				return 26.81 * freq / ( 1960 + freq ) - .53;
+			case 'mel':
+				return 2595 * Math.log10( 1 + freq / 700 );
+		}
+		return Math.log10( freq );
+	}
+
+	/**
+	 * Internal function to convert a value in the selected frequency scale back to a frequency
+	 *
+	 * @param {number} value
+	 * @returns {number} frequency in Hz
+	 */
+	_scaleToFreq( value ) {
+		switch ( this.frequencyScale ) {
+			case 'linear':
+				return value;
+			case 'bark':
+				return 1960 * ( value + .53 ) / ( 26.28 - value );
+			case 'mel':
+				return 700 * ( 10 ** ( value / 2595 ) - 1 );
+		}
+		return 10 ** value;
+	}
+
+	/**
+	 * Internal function to check if the current visualization mode is one of the octave bands modes
+	 *
+	 * @returns {boolean}
+	 */
+	_isOctaveBands() {
+		return this.mode > 0 && this.mode <= 24;
+	}
+
+	/**
+	 * Internal function to get the portion of the channel height taken by the reflex effect - the mirrored layout uses
+	 * half of it; only the discrete frequencies and octave bands modes are reflected
+	 *
+	 * @returns {number} from 0 (no reflection) to less than 1
+	 */
+	_reflexRatio() {
+		if ( this.mode > 24 )
+			return 0;
+
+		return this.mirror ? .5 : this.reflexRatio;
+	}
+
+	/**
+	 * Internal function to get the vertical transform from a channel's coordinate space, where the bars base is at
+	 * y = channelHeight, to the canvas - the right channel is either moved to the lower half of the canvas, or flipped
+	 * vertically in the mirrored stereo layout
+	 *
+	 * With the reflex effect, bars are scaled to fit the space above the reflection, and the reflection is drawn flipped
+	 * below the bars base, scaled to the remaining space.
+	 *
+	 * @param {number} channel
+	 * @param {number} [reflexRatio] portion of the channel height taken by the reflection
+	 * @param {boolean} [isReflex] true to get the transform for the reflection
+	 * @returns {number[]} vertical scale and translation, as in the `d` and `f` parameters of canvasCtx.setTransform()
+	 */
+	_channelTransform( channel, reflexRatio = 0, isReflex = false ) {
+		var channelHeight = this._channelHeight,
+			scale = isReflex ? -reflexRatio : 1 - reflexRatio,
+			offset = isReflex ? channelHeight : 0;
+
+		if ( channel == 0 )
+			return [ scale, offset ];
+		else if ( this.stereoLayout == 'mirrored' )
+			return [ -scale, this.canvas.height - offset ];
+		else
+			return [ scale, offset + channelHeight ];
+	}
+
+	/**
+	 * Internal function to draw a bar in radial mode, as an annular sector
+	 *
+	 * @param {number} posX  bar position on the X-axis, which is wrapped around the circle clockwise, starting at the top
+	 * @param {number} width bar width on the X-axis
+	 * @param {number} r     radius of the bar base
+	 * @param {number} h     bar height - positive values extend outwards, negative values inwards
+	 */
+	_radialBar( posX, width, r, h ) {
+		var canvasCtx = this.canvasCtx,
+			centerX = this.canvas.width / 2,
+			centerY = this.canvas.height / 2,
+			startAngle = 2 * Math.PI * posX / this.canvas.width - Math.PI / 2,
+			endAngle = startAngle + 2 * Math.PI * width / this.canvas.width;
+
+		canvasCtx.beginPath();
+		canvasCtx.arc( centerX, centerY, r, startAngle, endAngle );
+		canvasCtx.arc( centerX, centerY, Math.max( 0, r + h ), endAngle, startAngle, true );
+		canvasCtx.fill();
+	}
+
+	/**
+	 * Internal function to connect / disconnect the channel splitter for stereo mode
+	 */
+	_connectStereo( value ) {
+		value = !! value;
+
+		if ( value == this.stereo )
+			return;
+
+		if ( value )
+			this.analyzer.connect( this._upmixer );
+		else
+			this.analyzer.disconnect( this._upmixer );
+
+		this.stereo = value;
+	}
+
+	/**
+	 * Internal function to connect or disconnect the audio nodes used by the loudness meter and level meters
+	 *
+	 * Each channel is K-weighted and monitored by an analyzer node, whose samples are accumulated on every frame for loudness measurements;
+	 * the unweighted signal is monitored by another analyzer node, for true-peak and level meters.
+	 * Nodes are only created the first time they're needed, and only kept connected while the meters are on.
+	 */
+	_connectLevelNodes() {
+		var nodes = this._levelNodes,
+			value = !! ( this.showLoudness || this.showMeters || this.mode == MODE_METERS || this.mode == MODE_GONIOMETER );
+
+		if ( value && ! nodes ) {
+			nodes = this._levelNodes = {
+				input: this.audioCtx.createGain(),
+				splitter: this.audioCtx.createChannelSplitter(2),
+				connected: false,
+				// windowed-sinc interpolation filters for 4x oversampling, for fractional positions .25, .5 and .75
+				taps: [ .25, .5, .75 ].map( pos => [ ...Array(12).keys() ].map( k => {
+					var x = k - 5 - pos;
+					return Math.sin( Math.PI * x ) / ( Math.PI * x ) * ( .5 + .5 * Math.cos( Math.PI * x / 6.5 ) );
+				}) )
+			};
+
+			// mono sources (like a microphone) are upmixed, so they feed both channels
+			nodes.input.channelCount = 2;
+			nodes.input.channelCountMode = 'explicit';
+			nodes.input.channelInterpretation = 'speakers';
+			nodes.input.connect( nodes.splitter );
+
+			nodes.channels = [ 0, 1 ].map( channel => {
+				var kWeighting = this._createKWeighting(),
+					kAnalyser = this.audioCtx.createAnalyser(),
+					peakAnalyser = this.audioCtx.createAnalyser();
+
+				kAnalyser.fftSize = 32768;
+				peakAnalyser.fftSize = 8192;
+
+				nodes.splitter.connect( kWeighting[0], channel );
+				kWeighting[0].connect( kWeighting[1] );
+				kWeighting[1].connect( kAnalyser );
+				nodes.splitter.connect( peakAnalyser, channel );
+
+				return {
+					kAnalyser: kAnalyser,
+					peakAnalyser: peakAnalyser,
+					kData: new Float32Array( kAnalyser.fftSize ),
+					peakData: new Float32Array( peakAnalyser.fftSize )
+				};
+			});
+		}
+
+		if ( ! nodes || value == nodes.connected )
+			return;
+
+		if ( value )
+			this.analyzer.connect( nodes.input );
+		else
+			this.analyzer.disconnect( nodes.input );
+
+		nodes.connected = value;
+	}
+
+	/**
+	 * Internal function to create the two filter stages of the K-weighting curve defined in ITU-R BS.1770,
+	 * with coefficients calculated for the audio context's sample rate
+	 *
+	 * @returns {array} IIR filter nodes - shelving filter and high-pass filter
+	 */
+	_createKWeighting() {
+		var K, Q, Vh, Vb, a0, shelf, highpass,
+			sampleRate = this.audioCtx.sampleRate;
+
+		// stage 1: high shelf filter, which accounts for the acoustic effects of the head
+		K = Math.tan( Math.PI * 1681.974450955533 / sampleRate );
+		Q = .7071752369554196;
+		Vh = 10 ** ( 3.999843853973347 / 20 );
+		Vb = Vh ** .4996667741545416;
+		a0 = 1 + K / Q + K * K;
+		shelf = this.audioCtx.createIIRFilter(
+			[ ( Vh + Vb * K / Q + K * K ) / a0, 2 * ( K * K - Vh ) / a0, ( Vh - Vb * K / Q + K * K ) / a0 ],
+			[ 1, 2 * ( K * K - 1 ) / a0, ( 1 - K / Q + K * K ) / a0 ]
+		);
+
+		// stage 2: high-pass filter (RLB weighting curve)
+		K = Math.tan( Math.PI * 38.13547087602444 / sampleRate );
+		Q = .5003270373238773;
+		a0 = 1 + K / Q + K * K;
+		highpass = this.audioCtx.createIIRFilter(
+			[ 1, -2, 1 ],
+			[ 1, 2 * ( K * K - 1 ) / a0, ( 1 - K / Q + K * K ) / a0 ]
+		);
+
+		return [ shelf, highpass ];
+	}
+
+	/**
+	 * Internal function to copy the main analyzer settings to the channel analyzers used in stereo mode
+	 * and (re)allocate the data arrays which depend on the FFT size
+	 */
+	_syncChannelAnalyzers() {
+		this._channelAnalyzers.forEach( node => {
+			node.fftSize               = this.analyzer.fftSize;
+			node.smoothingTimeConstant = this.analyzer.smoothingTimeConstant;
+			node.minDecibels           = this.analyzer.minDecibels;
+			node.maxDecibels           = this.analyzer.maxDecibels;
+		});
+		this._channelData = this._channelAnalyzers.map( node => new Uint8Array( node.frequencyBinCount ) );
+		this._channelFloatData = this._channelAnalyzers.map( node => new Float32Array( node.frequencyBinCount ) );
+		this._floatData = new Float32Array( this.analyzer.frequencyBinCount );
+		this._timeData = new Float32Array( this.analyzer.fftSize );
+	}
 }
@@ -0,0 +1,397 @@
+/**
+ * audioMotion-core.js
+ * Spectrum analysis core without Web Audio or DOM dependencies - computes the analyzer bars from PCM samples,
+ * for offline analysis, server-side rendering and deterministic tests
+ *
+ * https://github.com/hvianna/audioMotion.js
+ *
+ * @author    Henrique Vianna <hvianna@gmail.com>
+ * @copyright (c) 2018-2019 Henrique Avila Vianna
+ * @license   AGPL-3.0-or-later
+ */
+
+import AudioMotionAnalyzer from './audioMotion-analyzer.js';
+
+// size of the input buffer, which holds the most recent samples - the largest FFT size allowed by AnalyserNode
+var BUFFER_SIZE = 32768;
+
+// settings which affect the analysis and the bars mapping - names and defaults are the same as AudioMotionAnalyzer's
+var defaults = {
+	sampleRate  : 44100,
+	mode        : 0,
+	fftSize     : 8192,
+	minFreq     : 20,
+	maxFreq     : 22000,
+	frequencyScale: 'log',
+	bandStandard: 'tempered',
+	smoothing   : 0.5,
+	minDb       : -85,
+	maxDb       : -25,
+	showLeds    : false,
+	ledCount    : null,
+	ledGapH     : null,
+	ledGapV     : null,
+	ledRadius   : 0,
+	useFloatData: false,
+	linearAmplitude: false,
+	weightingFilter: '',
+	peakHoldTime: 500,
+	peakFallMode: 'gravity',
+	peakFallTime: 500,
+	stereo      : false,
+	barSpace    : 0,
+	width       : 640,
+	height      : 270
+};
+
+/**
+ * Pure JavaScript implementation of the AnalyserNode interface, fed with PCM samples via write()
+ *
+ * Follows the Web Audio API specification: Blackman window, FFT magnitudes scaled by 1/N, smoothing over time,
+ * conversion to dB and mapping of byte values between minDecibels and maxDecibels.
+ */
+export class FFTAnalyser {
+
+	/**
+	 * CONSTRUCTOR
+	 *
+	 * @param {object} [options] `fftSize`, `smoothingTimeConstant`, `minDecibels` and `maxDecibels`
+	 */
+	constructor( options = {} ) {
+		this._buffer = new Float32Array( BUFFER_SIZE );
+		this._writePos = 0;
+
+		this.fftSize = options.fftSize || 2048;
+		this.smoothingTimeConstant = options.smoothingTimeConstant !== undefined ? options.smoothingTimeConstant : .8;
+		this.minDecibels = options.minDecibels !== undefined ? options.minDecibels : -100;
+		this.maxDecibels = options.maxDecibels !== undefined ? options.maxDecibels : -30;
+	}
+
+	/**
+	 * Size of the FFT - a power of two between 32 and 32768; changing it resets the smoothing history
+	 *
+	 * @type {number}
+	 */
+	get fftSize() {
+		return this._fftSize;
+	}
+
+	set fftSize( value ) {
+		var i, n = Number( value );
+
+		if ( n == this._fftSize )
+			return;
+
+		if ( ! ( n >= 32 && n <= BUFFER_SIZE && ( n & ( n - 1 ) ) == 0 ) )
+			throw 'FFT size must be a power of two between 32 and 32768';
+
+		this._fftSize = n;
+
+		// Blackman window coefficients
+		this._window = new Float32Array( n );
+		for ( i = 0; i < n; i++ )
+			this._window[ i ] = .42 - .5 * Math.cos( 2 * Math.PI * i / n ) + .08 * Math.cos( 4 * Math.PI * i / n );
+
+		// bit-reversed indexes for the FFT input
+		this._reverse = new Uint32Array( n );
+		for ( i = 0; i < n; i++ )
+			this._reverse[ i ] = ( this._reverse[ i >> 1 ] >> 1 ) | ( i & 1 ? n >> 1 : 0 );
+
+		this._real = new Float64Array( n );
+		this._imag = new Float64Array( n );
+		this._magnitudes = new Float64Array( n / 2 );
+		this._needsAnalysis = true;
+	}
+
+	/**
+	 * Number of frequency bins - half the FFT size
+	 *
+	 * @type {number}
+	 */
+	get frequencyBinCount() {
+		return this._fftSize / 2;
+	}
+
+	/**
+	 * Add samples to the input buffer
+	 *
+	 * @param {Float32Array|number[]} samples PCM samples, in the range -1 to 1
+	 */
+	write( samples ) {
+		var i, len = samples.length;
+
+		for ( i = Math.max( 0, len - BUFFER_SIZE ); i < len; i++ ) {
+			this._buffer[ this._writePos ] = samples[ i ];
+			this._writePos = ( this._writePos + 1 ) % BUFFER_SIZE;
+		}
+
+		if ( len )
+			this._needsAnalysis = true;
+	}
+
+	/**
+	 * Copy the most recent samples into an array
+	 *
+	 * @param {Float32Array} array
+	 */
+	getFloatTimeDomainData( array ) {
+		var i, len = Math.min( array.length, this._fftSize );
+
+		for ( i = 0; i < len; i++ )
+			array[ i ] = this._sample( i );
+	}
+
+	/**
+	 * Copy the most recent samples into an array, as unsigned byte values (128 for silence)
+	 *
+	 * @param {Uint8Array} array
+	 */
+	getByteTimeDomainData( array ) {
+		var i, len = Math.min( array.length, this._fftSize );
+
+		for ( i = 0; i < len; i++ )
+			array[ i ] = Math.max( 0, Math.min( 255, 128 * ( 1 + this._sample( i ) ) | 0 ) );
+	}
+
+	/**
+	 * Copy the current frequency data into an array, in dB
+	 *
+	 * @param {Float32Array} array
+	 */
+	getFloatFrequencyData( array ) {
+		var i, len = Math.min( array.length, this.frequencyBinCount );
+
+		this._analyze();
+
+		for ( i = 0; i < len; i++ )
+			array[ i ] = 20 * Math.log10( this._magnitudes[ i ] );
+	}
+
+	/**
+	 * Copy the current frequency data into an array, as unsigned byte values mapped between minDecibels and maxDecibels
+	 *
+	 * @param {Uint8Array} array
+	 */
+	getByteFrequencyData( array ) {
+		var i, db,
+			len = Math.min( array.length, this.frequencyBinCount ),
+			scale = 255 / ( this.maxDecibels - this.minDecibels );
+
+		this._analyze();
+
+		for ( i = 0; i < len; i++ ) {
+			db = 20 * Math.log10( this._magnitudes[ i ] );
+			array[ i ] = Math.max( 0, Math.min( 255, Math.floor( scale * ( db - this.minDecibels ) ) ) );
+		}
+	}
+
+	/**
+	 * Internal function to read a sample from the last `fftSize` samples in the input buffer
+	 *
+	 * @param {number} index from 0 (oldest) to fftSize - 1 (most recent)
+	 * @returns {number}
+	 */
+	_sample( index ) {
+		return this._buffer[ ( this._writePos - this._fftSize + index + BUFFER_SIZE ) % BUFFER_SIZE ];
+	}
+
+	/**
+	 * Internal function to perform the FFT and update the smoothed magnitudes
+	 *
+	 * Like AnalyserNode, the analysis is only done once for each block of new samples, so reading the frequency data
+	 * several times without writing new samples returns the same values and doesn't apply smoothing again.
+	 */
+	_analyze() {
+		var i, j, k, size, half, step, angle, wr, wi, tr, ti, evenR, evenI,
+			n = this._fftSize,
+			real = this._real,
+			imag = this._imag,
+			tau = Math.max( 0, Math.min( 1, this.smoothingTimeConstant ) );
+
+		if ( ! this._needsAnalysis )
+			return;
+
+		this._needsAnalysis = false;
+
+		// apply window, in bit-reversed order
+		for ( i = 0; i < n; i++ ) {
+			j = this._reverse[ i ];
+			real[ j ] = this._sample( i ) * this._window[ i ];
+			imag[ j ] = 0;
+		}
+
+		// iterative radix-2 FFT
+		for ( size = 2; size <= n; size *= 2 ) {
+			half = size / 2;
+			step = -2 * Math.PI / size;
+			for ( k = 0; k < half; k++ ) {
+				angle = step * k;
+				wr = Math.cos( angle );
+				wi = Math.sin( angle );
+				for ( i = k; i < n; i += size ) {
+					j = i + half;
+					tr = wr * real[ j ] - wi * imag[ j ];
+					ti = wr * imag[ j ] + wi * real[ j ];
+					evenR = real[ i ];
+					evenI = imag[ i ];
+					real[ i ] = evenR + tr;
+					imag[ i ] = evenI + ti;
+					real[ j ] = evenR - tr;
+					imag[ j ] = evenI - ti;
+				}
+			}
+		}
+
+		// smoothing over time is applied to the magnitudes, before conversion to dB
+		for ( i = 0; i < n / 2; i++ ) {
+			this._magnitudes[ i ] = tau * this._magnitudes[ i ] + ( 1 - tau ) * Math.hypot( real[ i ], imag[ i ] ) / n;
+			if ( ! isFinite( this._magnitudes[ i ] ) )
+				this._magnitudes[ i ] = 0;
+		}
+	}
+}
+
+/**
+ * Computes the same bars as AudioMotionAnalyzer, from PCM samples instead of Web Audio nodes
+ *
+ * The bars mapping, weighting, sensitivity and peaks are calculated by AudioMotionAnalyzer's own code, on an instance
+ * without audio nodes or canvas, so the results match the bars drawn by the analyzer with the same settings.
+ * Only the discrete frequencies (0) and octave bands (1 to 24) visualization modes are supported.
+ */
+export default class AudioMotionCore {
+
+	/**
+	 * CONSTRUCTOR
+	 *
+	 * @param {object} [options] sampleRate, width and height (in pixels, used for the bars mapping), and any of the
+	 *                           AudioMotionAnalyzer options which affect the bars - see `defaults` above
+	 */
+	constructor( options = {} ) {
+		var analyzer = this._analyzer = Object.create( AudioMotionAnalyzer.prototype );
+
+		analyzer.canvas = { width: 0, height: 0 };
+		analyzer.pixelRatio = 1;
+		analyzer.audioCtx = { sampleRate: 0, currentTime: 0 };
+		analyzer.analyzer = new FFTAnalyser();
+		analyzer._channelAnalyzers = [ new FFTAnalyser(), new FFTAnalyser() ];
+		analyzer.radial = false;
+
+		// no LED mask or colors are needed, as nothing is drawn
+		analyzer._drawLedsMask = () => {};
+		analyzer.gradient = 'none';
+		analyzer._gradients = { none: {} };
+
+		this._time = 0;
+
+		this.setOptions( Object.assign( {}, defaults, options ) );
+	}
+
+	/**
+	 * Current visualization mode
+	 *
+	 * @type {number}
+	 */
+	get mode() {
+		return this._analyzer.mode;
+	}
+
+	/**
+	 * Center frequency of each bar, in Hz
+	 *
+	 * @type {number[]}
+	 */
+	get frequencies() {
+		return this._analyzer._analyzerBars.map( bar => bar.freq );
+	}
+
+	/**
+	 * Change settings
+	 *
+	 * @param {object} options any of the options accepted by the constructor
+	 */
+	setOptions( options ) {
+		var min, max,
+			analyzer = this._analyzer,
+			mode = options.mode !== undefined ? Number( options.mode ) : analyzer.mode;
+
+		if ( ! ( mode >= 0 && mode <= 24 ) )
+			throw 'Only the discrete frequencies and octave bands modes are supported';
+
+		Object.keys( defaults ).forEach( key => {
+			if ( options[ key ] === undefined )
+				return;
+
+			switch ( key ) {
+				case 'sampleRate':
+					analyzer.audioCtx.sampleRate = options.sampleRate;
+					break;
+				case 'fftSize':
+					analyzer.analyzer.fftSize = options.fftSize;
+					break;
+				case 'smoothing':
+					analyzer.analyzer.smoothingTimeConstant = options.smoothing;
+					break;
+				case 'minDb':
+					analyzer.analyzer.minDecibels = options.minDb;
+					break;
+				case 'maxDb':
+					analyzer.analyzer.maxDecibels = options.maxDb;
+					break;
+				case 'width':
+				case 'height':
+					analyzer.canvas[ key ] = options[ key ];
+					break;
+				default:
+					analyzer[ key ] = options[ key ];
+			}
+		});
+
+		analyzer.mode = mode;
+
+		min = analyzer.minFreq;
+		max = analyzer.maxFreq;
+		analyzer.minFreq = Math.min( min, max );
+		analyzer.maxFreq = Math.max( min, max );
+
+		analyzer.dataArray = new Uint8Array( analyzer.analyzer.frequencyBinCount );
+		analyzer._syncChannelAnalyzers();
+
+		analyzer._channelHeight = analyzer.stereo ? analyzer.canvas.height >> 1 : analyzer.canvas.height;
+		analyzer._preCalcPosX();
+	}
+
+	/**
+	 * Add PCM samples to be analyzed
+	 *
+	 * In stereo mode, each channel is analyzed separately; the main analysis always uses the mono downmix.
+	 *
+	 * @param {Float32Array|number[]} left  samples for the left channel, or mono samples
+	 * @param {Float32Array|number[]} [right] samples for the right channel
+	 */
+	write( left, right ) {
+		var analyzer = this._analyzer;
+
+		analyzer.analyzer.write( right ? left.map( ( sample, i ) => ( sample + right[ i ] ) / 2 ) : left );
+		analyzer._channelAnalyzers[0].write( left );
+		analyzer._channelAnalyzers[1].write( right || left );
+	}
+
+	/**
+	 * Compute the bars for the current samples
+	 *
+	 * @param {number} [frameTime] time elapsed since the previous frame, in milliseconds, used for the peaks movement
+	 * @returns {object} data frame, in the same format received by AudioMotionAnalyzer's custom renderers (without colors)
+	 *                   - see AudioMotionAnalyzer.setRenderer()
+	 */
+	getFrame( frameTime = 1000 / 60 ) {
+		this._time += frameTime;
+		return this._analyzer._getFrame( this._time, frameTime );
+	}
+
+	/**
+	 * Reset the peaks of all bars
+	 */
+	resetPeaks() {
+		this._analyzer.resetPeaks();
+	}
+}
@@ -0,0 +1,168 @@
+/**
+ * audioMotion-worker.js
+ * Draws the spectrum analyzer on an OffscreenCanvas, using the data sent each frame by an AudioMotionAnalyzer instance
+ * created with the `useWorker` option
+ *
+ * https://github.com/hvianna/audioMotion.js
+ *
+ * @author    Henrique Vianna <hvianna@gmail.com>
+ * @copyright (c) 2018-2019 Henrique Avila Vianna
+ * @license   AGPL-3.0-or-later
+ */
+
+import AudioMotionAnalyzer from './audioMotion-analyzer.js';
+
+var renderer,		// analyzer instance which draws on the OffscreenCanvas
+	frame,			// data for the current frame
+	state,			// last settings received
+	lastTime;		// time of the previous frame, in milliseconds
+
+/**
+ * Create a stand-in for an AnalyserNode, which returns the data received for the current frame
+ *
+ * @param {string} key identifies the analyzer node in the frame data
+ * @returns {object}
+ */
+function createAnalyzer( key ) {
+	// when the data received is shorter than the target array, it fills the end of the array (the most recent samples)
+	var read = ( array, type ) => {
+		var data = frame.data[ key ] && frame.data[ key ][ type ];
+		if ( data )
+			array.set( data.subarray( Math.max( 0, data.length - array.length ) ), Math.max( 0, array.length - data.length ) );
+	};
+
+	return {
+		fftSize: 2048,
+		minDecibels: -100,
+		maxDecibels: -30,
+		smoothingTimeConstant: .5,
+		get frequencyBinCount() {
+			return this.fftSize / 2;
+		},
+		getByteFrequencyData: array => read( array, 'freq' ),
+		getFloatFrequencyData: array => read( array, 'freq' ),
+		getFloatTimeDomainData: array => read( array, 'time' )
+	};
+}
+
+/**
+ * Create the renderer - an analyzer instance without audio nodes or DOM elements, fed by the frame data
+ *
+ * @param {object} canvas OffscreenCanvas transferred from the main thread
+ * @param {number} sampleRate sample rate of the audio context in the main thread
+ */
+function init( canvas, sampleRate ) {
+	renderer = Object.create( AudioMotionAnalyzer.prototype );
+
+	renderer.canvas = canvas;
+	renderer.canvasCtx = canvas.getContext( '2d', { alpha: false } );
+	renderer.audioCtx = { sampleRate: sampleRate, currentTime: 0 };
+	renderer.analyzer = createAnalyzer('main');
+	renderer._channelAnalyzers = [ createAnalyzer('ch0'), createAnalyzer('ch1') ];
+	renderer._levelNodes = {
+		channels: [ 0, 1 ].map( ch => ( { peakAnalyser: createAnalyzer( 'level' + ch ), peakData: new Float32Array( 2048 ) } ) )
+	};
+	renderer.correlation = 0;
+	renderer._frame = renderer.fps = 0;
+	renderer._time = performance.now();
+
+	// status and measurements from the main thread
+	renderer.isFullscreen = () => state.canvas.isFullscreen;
+	renderer.getLoudness = () => frame.loudness;
+
+	// replay the drawings recorded from the onCanvasDraw callback
+	renderer._drawCallback = ( canvas, canvasCtx ) => {
+		if ( frame.commands )
+			frame.commands.forEach( ( [ name, value, isProperty ] ) => {
+				if ( isProperty )
+					canvasCtx[ name ] = value;
+				else if ( typeof canvasCtx[ name ] == 'function' )
+					canvasCtx[ name ]( ...value );
+			});
+	};
+}
+
+/**
+ * Apply new settings and recalculate only what depends on the settings changed
+ *
+ * @param {object} newState settings received from the main thread
+ */
+function applyState( newState ) {
+	var fftSize = renderer.analyzer.fftSize;
+
+	// clears the spectrogram history when its direction changes
+	renderer.setSpectrogramOptions( newState.options.spectrogramDir, newState.options.spectrogramSpeed );
+
+	state = newState;
+	Object.assign( renderer, state.options );
+	Object.assign( renderer.analyzer, state.analyzer );
+
+	if ( ! renderer.dataArray || renderer.analyzer.fftSize != fftSize )
+		renderer.dataArray = new Uint8Array( renderer.analyzer.frequencyBinCount );
+	renderer._syncChannelAnalyzers();
+
+	if ( state.gradients )
+		renderer._gradients = state.gradients;
+	renderer.pixelRatio = state.canvas.pixelRatio;
+
+	// resizing also regenerates the gradients and recalculates the bars
+	if ( state.resize )
+		renderer._resizeCanvas( state.canvas.width, state.canvas.height );
+	else {
+		if ( state.gradients )
+			renderer._generateGradients();
+		if ( state.layout )
+			renderer._preCalcPosX();
+	}
+}
+
+self.onmessage = event => {
+	var msg = event.data,
+		now = performance.now();
+
+	switch ( msg.type ) {
+		case 'init':
+			init( msg.canvas, msg.sampleRate );
+			break;
+
+		case 'resetPeaks':
+			if ( renderer._analyzerBars )
+				renderer.resetPeaks();
+			break;
+
+		// requests from getCanvasImage() and getSpectrumData() - replies must include the request id, and errors are sent back
+		// so the request can be rejected
+		case 'image':
+			renderer.canvas.convertToBlob( { type: msg.format } )
+				.then( blob => self.postMessage( { id: msg.id, reply: blob } ) )
+				.catch( err => self.postMessage( { id: msg.id, error: String( err ) } ) );
+			break;
+
+		case 'spectrum':
+			try {
+				self.postMessage( { id: msg.id, reply: renderer._getSpectrumData() } );
+			}
+			catch( err ) {
+				self.postMessage( { id: msg.id, error: String( err ) } );
+			}
+			break;
+
+		case 'settings':
+			applyState( msg );
+			break;
+
+		case 'frame':
+			frame = msg;
+
+			// clip indicators times are converted to this thread's clock
+			if ( msg.meters ) {
+				msg.meters.clip = msg.meters.clip.map( time => time - msg.now + now );
+				renderer._meters = msg.meters;
+			}
+
+			renderer._render( now, now - ( lastTime || now ) );
+			lastTime = now;
+
+			self.postMessage( { fps: renderer.fps, correlation: renderer.correlation } );
+	}
+};
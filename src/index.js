@@ -24,7 +24,7 @@
 
 var _VERSION = '19.7';
 
-import * as audioMotion from './audioMotion-analyzer.js';
+import AudioMotionAnalyzer from './audioMotion-analyzer.js';
 import * as fileExplorer from './file-explorer.js';
 import * as mm from 'music-metadata-browser';
 import './scrollIntoViewIfNeeded-polyfill.js';
@@ -37,13 +37,21 @@ import './notie.css';
 
 import './styles.css';
 
+// audioMotion analyzer instance
+var audioMotion;
+
 // playlist, index to the current song, indexes to current and next audio elements
 var playlist, playlistPos, currAudio, nextAudio;
 
 // HTML elements from the UI
 var elMode, elFFTsize, elRangeMin, elRangeMax, elSmoothing, elGradient, elShowScale,
 	elMinDb, elMaxDb, elShowPeaks, elPlaylists, elBlackBg, elCycleGrad, elLedDisplay,
-	elRepeat, elShowSong, elSource, elNoShadow, elLoRes, elFPS;
+	elRepeat, elShowSong, elSource, elNoShadow, elLoRes, elFPS, elStereo, elRadial, elScope,
+	elWeighting, elFreqScale, elBandStd, elNoteLabels, elTuner, elBeatGrad, elLoudness,
+	elMeters, elMeterType, elMeterRef, elGonioTrail, elGonioZoom, elRecFps, elRecRes,
+	elSnapshotData, elGradEdit, elGradName, elGradBg, elGradDir, elGradStops, elGradType, elGradSolid,
+	elGradPeak, elGradPeakColor, elGradHue, elLedCount, elLedRadius, elLedUnlit, elBarSpace, elBarLayout,
+	elUseWorker;
 
 // audio sources
 var	audioElement, sourcePlayer, sourceMic, cfgSource;
@@ -51,6 +59,12 @@ var	audioElement, sourcePlayer, sourceMic, cfgSource;
 // on-screen messages
 var	canvasMsg;
 
+// gradients created by the user in the gradient editor, saved in localStorage
+var userGradients;
+
+// video recorder (MediaRecorder instance), while recording is in progress
+var recorder;
+
 // flag for skip track in progress
 var skipping = false;
 
@@ -66,10 +80,13 @@ var presets = {
 			fftSize     : 8192,		// FFT size
 			freqMin     : 20,		// lowest frequency
 			freqMax     : 22000,	// highest frequency
+			freqScale   : 'log',	// frequency scale: log, linear, bark or mel
+			bandStandard: 'tempered', // octave bands center frequencies: tempered, base10 or base2 (ISO/ANSI)
 			smoothing   : 0.5,		// 0 to 0.9 - smoothing time constant
 			gradient    : 'prism',
 			blackBg     : 0,
 			cycleGrad   : 1,
+			beatGrad    : 0,
 			ledDisplay  : 0,
 			maxDb       : -25,
 			minDb       : -85,
@@ -79,7 +96,28 @@ var presets = {
 			repeat      : 0,
 			noShadow    : 1,
 			loRes       : 0,
-			showFPS     : 0
+			showFPS     : 0,
+			stereo      : 0,
+			radial      : 0,
+			showScope   : 0,
+			noteLabels  : 0,
+			showTuner   : 0,
+			showLoudness: 0,
+			showMeters  : 0,
+			meterType   : 'vu',
+			meterRef    : -18,
+			gonioTrail  : 0.7,
+			gonioZoom   : 1,
+			ledCount    : 0,		// LEDs per bar - 0 chooses it automatically
+			ledRadius   : 0,
+			ledUnlit    : 0,
+			barSpace    : 0,		// spacing between bars, as a portion of each bar's width
+			barLayout   : '',		// 'reflex', 'mirror' or normal
+			recFps      : 30,		// video recording frame rate
+			recRes      : 'canvas',	// video recording resolution - 'canvas' uses the current canvas size
+			snapshotData: '',		// bars data saved with snapshots: 'csv', 'json' or none
+			useWorker   : 0,		// draw the analyzer on a worker thread - only applied when the page is loaded
+			weighting   : ''
 		},
 
 		fullres: {
@@ -143,6 +181,11 @@ var	gradients = {
 					{ pos: .2, color: 'hsl( 55, 100%, 50% )' },
 					{ pos:  1, color: 'hsl( 16, 100%, 50% )' }
 				  ] },
+		levels:   { name: 'Level Meter', bgColor: '#111', type: 'levels', colorStops: [
+					{ color: '#0c0' },
+					{ level: -12, color: '#ff0' },
+					{ level: -3, color: '#f00' }
+				  ] },
 		miami:    { name: 'Miami', bgColor: '#110a11', colorStops: [
 					{ pos: .024, color: 'rgb( 251, 198, 6 )' },
 					{ pos: .283, color: 'rgb( 224, 82, 95 )' },
@@ -198,6 +241,197 @@ function fullscreen() {
 	document.getElementById('btn_fullscreen').blur();
 }
 
+/**
+ * Offer a file for download
+ */
+function downloadFile( blob, filename ) {
+	var link = document.createElement('a');
+
+	link.href = URL.createObjectURL( blob );
+	link.download = filename;
+	document.body.appendChild( link );
+	link.click();
+	link.remove();
+
+	setTimeout( () => URL.revokeObjectURL( link.href ), 1000 );
+}
+
+/**
+ * Return current date and time formatted for use in file names
+ */
+function fileTimestamp() {
+	var now = new Date();
+	return new Date( now - now.getTimezoneOffset() * 60000 ).toISOString().slice( 0, 19 ).replace( /[-:]/g, '' ).replace( 'T', '-' );
+}
+
+/**
+ * Start / stop recording the visualization and the audio to a WebM video file
+ */
+function toggleRecording() {
+
+	var elRecord = document.getElementById('btn_record');
+
+	elRecord.blur();
+
+	if ( recorder ) {
+		recorder.stop();
+		return;
+	}
+
+	var mimeType = typeof MediaRecorder == 'function' &&
+			[ 'video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm' ].find( type => MediaRecorder.isTypeSupported( type ) );
+
+	if ( ! mimeType ) {
+		consoleLog( 'Video recording is not supported by your browser', true );
+		return;
+	}
+
+	var	[ width, height ] = elRecRes.value == 'canvas' ? [ audioMotion.canvas.width, audioMotion.canvas.height ] : elRecRes.value.split('x').map( Number ),
+		canvas = document.createElement('canvas'),
+		canvasCtx = canvas.getContext('2d'),
+		audioDest = audioMotion.audioCtx.createMediaStreamDestination(),
+		chunks = [],
+		isRecording = false,
+		animationReq, stream;
+
+	canvas.width = width;
+	canvas.height = height;
+
+	// create the recorder before anything else is started, so there's nothing to undo if it fails
+	try {
+		stream = canvas.captureStream( Number( elRecFps.value ) );
+		audioDest.stream.getAudioTracks().forEach( track => stream.addTrack( track ) );
+		recorder = new MediaRecorder( stream, { mimeType: mimeType } );
+	}
+	catch( err ) {
+		if ( stream )
+			stream.getTracks().forEach( track => track.stop() );
+		recorder = undefined;
+		consoleLog( `Could not start video recording - ${err}`, true );
+		return;
+	}
+
+	// copy the analyzer canvas (which already includes the on-screen messages) to the recording canvas on every frame,
+	// scaled to fit the selected resolution - the canvas element is read again each time, as it is replaced if the worker fails
+	var copyFrame = () => {
+		var source = audioMotion.canvas,
+			scale = Math.min( width / source.width, height / source.height ),
+			w = source.width * scale,
+			h = source.height * scale;
+
+		canvasCtx.fillStyle = '#000';
+		canvasCtx.fillRect( 0, 0, width, height );
+		canvasCtx.drawImage( source, ( width - w ) / 2, ( height - h ) / 2, w, h );
+
+		animationReq = requestAnimationFrame( copyFrame );
+	};
+
+	// stop copying frames, release the audio and video tracks and reset the record button - returns false if already done
+	// (after an error, the recorder still fires the stop event)
+	var finishRecording = () => {
+		if ( ! isRecording )
+			return false;
+
+		isRecording = false;
+		cancelAnimationFrame( animationReq );
+		audioMotion.analyzer.disconnect( audioDest );
+		stream.getTracks().forEach( track => track.stop() );
+		recorder = undefined;
+
+		elRecord.classList.remove('recording');
+		elRecord.innerHTML = 'Re<u>c</u>ord Video';
+
+		return true;
+	};
+
+	recorder.ondataavailable = e => {
+		if ( e.data.size )
+			chunks.push( e.data );
+	};
+
+	recorder.onstop = () => {
+		if ( ! finishRecording() )
+			return;
+
+		downloadFile( new Blob( chunks, { type: 'video/webm' } ), `audioMotion-${ fileTimestamp() }.webm` );
+		consoleLog( 'Video recording finished' );
+	};
+
+	recorder.onerror = e => {
+		consoleLog( `Video recording error: ${ e.error || e }`, true );
+		finishRecording();
+	};
+
+	copyFrame();
+
+	// the analyzer node passes its input through, so its output is the audio being analyzed
+	audioMotion.analyzer.connect( audioDest );
+
+	isRecording = true;
+	elRecord.classList.add('recording');
+	elRecord.innerHTML = 'Stop Re<u>c</u>ording';
+
+	try {
+		recorder.start( 1000 ); // collect data every second, so long recordings don't need to be kept by the encoder
+	}
+	catch( err ) {
+		consoleLog( `Could not start video recording - ${err}`, true );
+		finishRecording();
+		return;
+	}
+
+	consoleLog( `Recording video at ${ width } x ${ height } pixels, ${ elRecFps.value } fps (${ mimeType })` );
+}
+
+/**
+ * Save a snapshot of the analyzer - an image of the current frame and, optionally, the bars data in CSV or JSON format
+ */
+function takeSnapshot() {
+
+	var filename = `audioMotion-${ fileTimestamp() }`,
+		format = elSnapshotData.value,
+		round = value => isFinite( value ) ? +value.toFixed(2) : null; // levels below the analyzer scale are saved as null / empty
+
+	document.getElementById('btn_snapshot').blur();
+
+	audioMotion.getCanvasImage()
+		.then( blob => {
+			downloadFile( blob, filename + '.png' );
+			consoleLog( `Snapshot saved as ${ filename }.png` );
+			setCanvasMsg( 'Snapshot saved' );
+		})
+		.catch( err => {
+			consoleLog( `Could not save snapshot - ${err}`, true );
+			setCanvasMsg( 'Snapshot failed' );
+		});
+
+	if ( ! format )
+		return;
+
+	audioMotion.getSpectrumData()
+		.then( bars => {
+			var data;
+
+			bars = bars.map( bar => ( { channel: bar.channel, freq: round( bar.freq ), level: round( bar.level ), peak: round( bar.peak ) } ) );
+
+			if ( format == 'json' ) {
+				data = JSON.stringify( {
+					date     : new Date().toISOString(),
+					mode     : elMode[ elMode.selectedIndex ].text,
+					weighting: elWeighting.value,
+					bars     : bars
+				}, null, 2 );
+			}
+			else {
+				data = 'channel,frequency (Hz),level (dB),peak (dB)\n' +
+					bars.map( bar => [ bar.channel, bar.freq, bar.level, bar.peak ].map( value => value === null || value === undefined ? '' : value ).join(',') + '\n' ).join('');
+			}
+
+			downloadFile( new Blob( [ data ], { type: format == 'json' ? 'application/json' : 'text/csv' } ), `${ filename }.${ format }` );
+		})
+		.catch( err => consoleLog( `Could not save spectrum data - ${err}`, true ) );
+}
+
 /**
  * Adjust the analyzer's sensitivity
  */
@@ -221,6 +455,15 @@ function setSensitivity( value ) {
 	updateLastConfig();
 }
 
+/**
+ * Set the frequency weighting filter
+ */
+function setWeighting() {
+	audioMotion.setWeightingFilter( elWeighting.value );
+	consoleLog( 'Weighting filter is ' + ( elWeighting.value ? elWeighting.options[ elWeighting.selectedIndex ].text : 'off' ) );
+	updateLastConfig();
+}
+
 /**
  * Set the smoothing time constant
  */
@@ -250,6 +493,52 @@ function setFreqRange() {
 	updateLastConfig();
 }
 
+/**
+ * Set frequency scale
+ */
+function setFreqScale() {
+	audioMotion.setFreqScale( elFreqScale.value );
+	updateLastConfig();
+}
+
+/**
+ * Set the standard for the octave bands center frequencies
+ */
+function setBandStandard() {
+	audioMotion.setBandStandard( elBandStd.value );
+	updateLastConfig();
+}
+
+/**
+ * Select the next gradient (used by auto gradient)
+ */
+function cycleGradient() {
+	var gradIdx = elGradient.selectedIndex;
+
+	if ( gradIdx < elGradient.options.length - 1 )
+		gradIdx++;
+	else
+		gradIdx = 0;
+	elGradient.selectedIndex = gradIdx;
+	audioMotion.setGradient( elGradient.value );
+}
+
+/**
+ * Beat detection callback - selects the next gradient on bass beats, when auto gradient is on
+ */
+function gradientOnBeat( beat ) {
+	if ( beat.band == 'bass' && elCycleGrad.dataset.active == '1' )
+		cycleGradient();
+}
+
+/**
+ * Set auto gradient on beats
+ */
+function setBeatGrad() {
+	audioMotion.setBeatCallback( elBeatGrad.dataset.active == '1' ? gradientOnBeat : undefined );
+	updateLastConfig();
+}
+
 /**
  * Set Gradient
  */
@@ -258,6 +547,401 @@ function setGradient() {
 	updateLastConfig();
 }
 
+/**
+ * Register a user gradient with the analyzer and add it to the gradient selection - if it already exists, it's updated
+ */
+function registerUserGradient( key, gradient ) {
+	var option = [ ...elGradient.options ].find( option => option.value == key );
+
+	audioMotion.registerGradient( key, gradient );
+	gradients[ key ] = gradient;
+
+	if ( option )
+		option.text = gradient.name;
+	else
+		elGradient.options[ elGradient.options.length ] = new Option( gradient.name, key );
+}
+
+/**
+ * Check if a value is a valid CSS color string
+ */
+function isColor( color ) {
+	return typeof color == 'string' && CSS.supports( 'color', color );
+}
+
+/**
+ * Check if a gradient definition has a name and at least two valid color stops - invalid colors would break the analyzer gradients
+ */
+function isValidGradient( gradient ) {
+	var isColorStop = stop => isColor( stop ) || ( stop && isColor( stop.color ) && stop.pos >= 0 && stop.pos <= 1 ),
+		isLevelStop = ( stop, index ) => stop && isColor( stop.color ) && ( index == 0 || typeof stop.level == 'number' );
+
+	return !! ( gradient && typeof gradient.name == 'string' && gradient.name.trim() && Array.isArray( gradient.colorStops ) &&
+		gradient.colorStops.length > 1 && gradient.colorStops.every( gradient.type == 'levels' ? isLevelStop : isColorStop ) );
+}
+
+/**
+ * Load user gradients from localStorage
+ */
+function loadUserGradients() {
+	var settings = localStorage.getItem('user-gradients');
+
+	try {
+		userGradients = JSON.parse( settings );
+	}
+	catch( err ) {
+		consoleLog( `Could not load user gradients - ${err}`, true );
+	}
+
+	if ( ! userGradients || typeof userGradients != 'object' )
+		userGradients = {};
+
+	// discard invalid entries, so they don't break the gradient selection
+	Object.keys( userGradients ).forEach( key => {
+		if ( isValidGradient( userGradients[ key ] ) && isColor( userGradients[ key ].bgColor ) )
+			gradients[ key ] = userGradients[ key ];
+		else {
+			consoleLog( `Discarding invalid user gradient "${key}"`, true );
+			delete userGradients[ key ];
+		}
+	});
+}
+
+/**
+ * Save user gradients to localStorage
+ */
+function saveUserGradients( selectedKey ) {
+	localStorage.setItem( 'user-gradients', JSON.stringify( userGradients ) );
+	updateGradientEditorList( selectedKey );
+}
+
+/**
+ * Refresh the list of user gradients in the gradient editor
+ */
+function updateGradientEditorList( selectedKey = elGradEdit.value ) {
+	elGradEdit.options.length = 0;
+	elGradEdit.options[0] = new Option( '(new gradient)', '' );
+	Object.keys( userGradients ).forEach( key => elGradEdit.options[ elGradEdit.options.length ] = new Option( userGradients[ key ].name, key ) );
+	elGradEdit.value = userGradients[ selectedKey ] ? selectedKey : '';
+}
+
+/**
+ * Add a user gradient, generating a new key from its name
+ */
+function addUserGradient( gradient ) {
+	var key = 'user_' + gradient.name.normalize('NFD').replace( /[\u0300-\u036f]/g, '' ).toLowerCase().replace( /[^a-z0-9]/g, '_' );
+
+	while ( gradients.hasOwnProperty( key ) )
+		key += '_1';
+
+	userGradients[ key ] = gradient;
+	registerUserGradient( key, gradient );
+
+	return key;
+}
+
+/**
+ * Convert any CSS color to the #rrggbb format required by color inputs
+ */
+function toHexColor( color ) {
+	var canvasCtx = document.createElement('canvas').getContext('2d');
+
+	canvasCtx.fillStyle = '#000';
+	canvasCtx.fillStyle = color;
+
+	// colors with transparency are returned in rgba() notation
+	if ( canvasCtx.fillStyle[0] != '#' )
+		return '#' + canvasCtx.fillStyle.match( /[\d.]+/g ).slice( 0, 3 ).map( n => ( '0' + Number( n ).toString(16) ).slice(-2) ).join('');
+
+	return canvasCtx.fillStyle;
+}
+
+/**
+ * Set the range of a color stop input - a position from 0 to 1, or a level in dB for the 'levels' type
+ */
+function setStopInput( el ) {
+	var isLevels = ( elGradType.value == 'levels' );
+
+	el.min = isLevels ? -120 : 0;
+	el.max = isLevels ? 0 : 1;
+	el.step = isLevels ? 1 : .01;
+	el.title = isLevels ? 'Level threshold (dB below the top of the scale)' : 'Position';
+}
+
+/**
+ * Update the color stops inputs when the gradient type is changed in the editor
+ */
+function updateGradientStops() {
+	[ ...elGradStops.children ].forEach( el => {
+		setStopInput( el.children[1] );
+		el.children[1].value = Math.max( el.children[1].min, Math.min( el.children[1].max, el.children[1].value ) );
+	});
+	previewGradient();
+}
+
+/**
+ * Add a color stop to the gradient editor
+ */
+function addGradientStop( color = '#ffffff', pos = elGradType.value == 'levels' ? 0 : 1 ) {
+	var el = document.createElement('div');
+
+	el.innerHTML = '<input type="color"> <input type="number"> <button title="Remove color stop">&times;</button>';
+	el.children[0].value = toHexColor( color );
+	setStopInput( el.children[1] );
+	el.children[1].value = pos;
+
+	el.addEventListener( 'input', previewGradient );
+	el.children[2].addEventListener( 'click', () => {
+		el.remove();
+		previewGradient();
+	});
+
+	elGradStops.appendChild( el );
+	previewGradient();
+}
+
+/**
+ * Load the selected user gradient into the gradient editor, or default values for a new gradient
+ */
+function editGradient() {
+	var gradient = userGradients[ elGradEdit.value ] || {
+			name: '',
+			bgColor: '#111111',
+			colorStops: [ { pos: 0, color: '#ff0000' }, { pos: 1, color: '#0000ff' } ]
+		};
+
+	elGradName.value = gradient.name;
+	elGradBg.value = toHexColor( gradient.bgColor );
+	elGradDir.value = gradient.dir || '';
+	elGradType.value = gradient.type || 'linear';
+	elGradSolid.checked = !! gradient.solidBars;
+	elGradPeak.checked = !! gradient.peakColor;
+	elGradPeakColor.value = toHexColor( gradient.peakColor || '#ffffff' );
+	elGradHue.value = gradient.hueRotation || 0;
+
+	elGradStops.innerHTML = '';
+	gradient.colorStops.forEach( ( stop, index ) => {
+		// color stops may be defined by their color only, in which case they're evenly spaced;
+		// the first level threshold may be omitted, as it always starts at the bottom of the scale
+		if ( gradient.type == 'levels' )
+			addGradientStop( stop.color, stop.level === undefined ? -120 : stop.level );
+		else if ( typeof stop == 'object' )
+			addGradientStop( stop.color, stop.pos );
+		else
+			addGradientStop( stop, +( index / ( gradient.colorStops.length - 1 ) ).toFixed(2) );
+	});
+}
+
+/**
+ * Return the gradient currently defined in the editor
+ */
+function getEditorGradient() {
+	var isLevels = ( elGradType.value == 'levels' ),
+		colorStops = [ ...elGradStops.children ].map( el => {
+			var value = Number( el.children[1].value ) || 0,
+				color = el.children[0].value;
+
+			return isLevels ? { level: Math.max( -120, Math.min( 0, value ) ), color: color } : { pos: Math.max( 0, Math.min( 1, value ) ), color: color };
+		});
+
+	colorStops.sort( ( a, b ) => isLevels ? a.level - b.level : a.pos - b.pos );
+
+	return {
+		name       : elGradName.value.trim(),
+		bgColor    : elGradBg.value,
+		dir        : elGradDir.value || undefined,
+		type       : elGradType.value == 'linear' ? undefined : elGradType.value,
+		solidBars  : elGradSolid.checked || undefined,
+		peakColor  : elGradPeak.checked ? elGradPeakColor.value : undefined,
+		hueRotation: Number( elGradHue.value ) || undefined,
+		colorStops : colorStops
+	};
+}
+
+/**
+ * Draw a preview of the gradient being edited
+ */
+function previewGradient() {
+	var canvas = document.getElementById('grad_preview'),
+		canvasCtx = canvas.getContext('2d'),
+		gradient = getEditorGradient(),
+		barWidth = canvas.width / 16,
+		stops = gradient.colorStops,
+		grad, palette;
+
+	canvasCtx.fillStyle = gradient.bgColor;
+	canvasCtx.fillRect( 0, 0, canvas.width, canvas.height );
+
+	if ( stops.length < 2 )
+		return;
+
+	// level thresholds are previewed on a 60 dB scale, with hard transitions between colors
+	if ( gradient.type == 'levels' ) {
+		stops = [];
+		gradient.colorStops.forEach( ( stop, index, list ) => {
+			stops.push( { pos: index ? Math.min( 1, -stop.level / 60 ) : 1, color: stop.color } );
+			stops.push( { pos: index < list.length - 1 ? Math.min( 1, -list[ index + 1 ].level / 60 ) : 0, color: stop.color } );
+		});
+		stops.reverse();
+	}
+
+	if ( gradient.type == 'radial' )
+		grad = canvasCtx.createRadialGradient( canvas.width / 2, canvas.height, Math.hypot( canvas.width / 2, canvas.height ), canvas.width / 2, canvas.height, 0 );
+	else if ( gradient.dir == 'h' )
+		grad = canvasCtx.createLinearGradient( 0, 0, canvas.width, 0 );
+	else
+		grad = canvasCtx.createLinearGradient( 0, 0, 0, canvas.height );
+
+	stops.forEach( stop => grad.addColorStop( stop.pos, stop.color ) );
+	canvasCtx.fillStyle = grad;
+
+	// for solid bars, colors are picked from a vertical strip of the gradient, which is then covered again by the background
+	if ( gradient.solidBars ) {
+		canvasCtx.fillRect( 0, 0, 1, canvas.height );
+		palette = canvasCtx.getImageData( 0, 0, 1, canvas.height ).data;
+		canvasCtx.fillStyle = gradient.bgColor;
+		canvasCtx.fillRect( 0, 0, 1, canvas.height );
+	}
+
+	// sample bars, with heights following a typical music spectrum
+	for ( let i = 0; i < 16; i++ ) {
+		let height = canvas.height * ( .95 - .04 * i - .15 * Math.abs( Math.sin( i * 1.7 ) ) ) | 0,
+			peak = Math.max( 0, canvas.height - height - 6 ),
+			color = index => `rgb( ${ palette[ index * 4 ] }, ${ palette[ index * 4 + 1 ] }, ${ palette[ index * 4 + 2 ] } )`;
+
+		if ( palette )
+			canvasCtx.fillStyle = color( canvas.height - height );
+		canvasCtx.fillRect( i * barWidth + 1, canvas.height - height, barWidth - 2, height );
+
+		if ( gradient.peakColor )
+			canvasCtx.fillStyle = gradient.peakColor;
+		else if ( palette )
+			canvasCtx.fillStyle = color( peak );
+		canvasCtx.fillRect( i * barWidth + 1, peak, barWidth - 2, 2 );
+
+		canvasCtx.fillStyle = grad;
+	}
+}
+
+/**
+ * Save the gradient being edited and select it in the analyzer
+ */
+function saveGradient() {
+	var key = elGradEdit.value,
+		gradient = getEditorGradient();
+
+	if ( ! gradient.name ) {
+		notie.alert({ text: 'Please give this gradient a name' });
+		return;
+	}
+
+	if ( gradient.colorStops.length < 2 ) {
+		notie.alert({ text: 'A gradient must have at least two color stops' });
+		return;
+	}
+
+	if ( key ) {
+		userGradients[ key ] = gradient;
+		registerUserGradient( key, gradient );
+	}
+	else
+		key = addUserGradient( gradient );
+
+	saveUserGradients( key );
+
+	elGradient.value = key;
+	setGradient();
+	notie.alert({ text: 'Gradient saved!' });
+}
+
+/**
+ * Delete the user gradient selected in the editor
+ */
+function deleteGradient() {
+	var key = elGradEdit.value;
+
+	if ( ! key )
+		return;
+
+	notie.confirm({
+		text: `Do you really want to DELETE the "${ userGradients[ key ].name }" gradient?<br>THIS CANNOT BE UNDONE!`,
+		submitText: 'Delete',
+		submitCallback: () => {
+			delete userGradients[ key ];
+			delete gradients[ key ];
+
+			if ( elGradient.value == key ) {
+				elGradient.selectedIndex = 0;
+				setGradient();
+			}
+			[ ...elGradient.options ].find( option => option.value == key ).remove();
+
+			saveUserGradients('');
+			editGradient();
+			notie.alert({ text: 'Gradient deleted' });
+		},
+		cancelCallback: () => {
+			notie.alert({ text: 'Canceled' })
+		},
+	});
+}
+
+/**
+ * Download all user gradients as a JSON file
+ */
+function exportGradients() {
+	var list = Object.keys( userGradients ).map( key => userGradients[ key ] );
+
+	if ( ! list.length ) {
+		notie.alert({ text: 'There are no gradients to export' });
+		return;
+	}
+
+	downloadFile( new Blob( [ JSON.stringify( list, null, 2 ) ], { type: 'application/json' } ), 'audioMotion-gradients.json' );
+}
+
+/**
+ * Import gradients from a JSON file - a single gradient object, or an array of them, as saved by exportGradients()
+ */
+function importGradients( obj ) {
+	var reader = new FileReader();
+
+	reader.readAsText( obj.files[0] );
+
+	reader.onload = () => {
+		var list, count = 0;
+
+		try {
+			list = JSON.parse( reader.result );
+		}
+		catch( err ) {
+			consoleLog( `Invalid gradients file - ${err}`, true );
+			return;
+		}
+
+		// invalid gradients are skipped
+		[].concat( list ).forEach( gradient => {
+			if ( isValidGradient( gradient ) ) {
+				addUserGradient( {
+					name       : gradient.name.trim(),
+					bgColor    : isColor( gradient.bgColor ) ? gradient.bgColor : '#111',
+					dir        : gradient.dir == 'h' ? 'h' : undefined,
+					type       : [ 'radial', 'levels' ].includes( gradient.type ) ? gradient.type : undefined,
+					solidBars  : gradient.solidBars ? true : undefined,
+					peakColor  : isColor( gradient.peakColor ) ? gradient.peakColor : undefined,
+					hueRotation: Number( gradient.hueRotation ) || undefined,
+					colorStops : gradient.colorStops
+				});
+				count++;
+			}
+		});
+
+		saveUserGradients();
+		obj.value = ''; // allow importing the same file again
+		notie.alert({ text: `${count} gradient${ count == 1 ? '' : 's' } imported` });
+	};
+}
+
 /**
  * Set visualization mode
  */
@@ -282,6 +966,97 @@ function setLedDisplay() {
 	updateLastConfig();
 }
 
+/**
+ * Set stereo (dual channel) mode
+ */
+function setStereo() {
+	audioMotion.toggleStereo( elStereo.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set radial mode
+ */
+function setRadial() {
+	audioMotion.toggleRadial( elRadial.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set musical note labels on the frequency scale
+ */
+function setNoteLabels() {
+	audioMotion.toggleNoteLabels( elNoteLabels.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set tuner overlay
+ */
+function setTuner() {
+	audioMotion.toggleTuner( elTuner.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set loudness meter
+ */
+function setLoudness() {
+	audioMotion.toggleLoudness( elLoudness.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set level meters side panel
+ */
+function setMeters() {
+	audioMotion.toggleMeters( elMeters.dataset.active == '1' );
+	updateLastConfig();
+}
+
+/**
+ * Set level meters type and reference level
+ */
+function setMeterOptions() {
+	audioMotion.setMeterOptions( elMeterType.value, Number( elMeterRef.value ) );
+	consoleLog( `Level meters set to ${ elMeterType.value.toUpperCase() }, 0 mark at ${ elMeterRef.value } dBFS` );
+	updateLastConfig();
+}
+
+/**
+ * Set goniometer trail persistence and zoom factor
+ */
+function setGoniometerOptions() {
+	audioMotion.setGoniometerOptions( Number( elGonioTrail.value ), Number( elGonioZoom.value ) );
+	updateLastConfig();
+}
+
+/**
+ * Set LED effect geometry
+ */
+function setLedOptions() {
+	audioMotion.setLedOptions( Number( elLedCount.value ) || null, undefined, undefined, Number( elLedRadius.value ), elLedUnlit.checked );
+	updateLastConfig();
+}
+
+/**
+ * Set bars spacing and layout
+ */
+function setBarOptions() {
+	audioMotion.setBarSpace( Number( elBarSpace.value ) );
+	audioMotion.toggleMirror( elBarLayout.value == 'mirror' );
+	audioMotion.setReflexOptions( elBarLayout.value == 'reflex' ? .4 : 0 );
+	updateLastConfig();
+}
+
+/**
+ * Set oscilloscope overlay
+ */
+function setScope() {
+	audioMotion.toggleScope( elScope.dataset.active == '1' );
+	updateLastConfig();
+}
+
 /**
  * Set show peaks preference
  */
@@ -777,8 +1552,6 @@ function playNextSong( play ) {
 
 	skipping = true;
 
-	var gradIdx;
-
 	if ( playlistPos < playlist.children.length - 1 )
 		playlistPos++;
 	else if ( elRepeat.dataset.active == '1' )
@@ -806,15 +1579,8 @@ function playNextSong( play ) {
 			consoleLog( err, true );
 			loadNextSong();
 		});
-		if ( elCycleGrad.dataset.active == '1' ) {
-			gradIdx = elGradient.selectedIndex;
-			if ( gradIdx < elGradient.options.length - 1 )
-				gradIdx++;
-			else
-				gradIdx = 0;
-			elGradient.selectedIndex = gradIdx;
-			audioMotion.setGradient( elGradient.value );
-		}
+		if ( elCycleGrad.dataset.active == '1' )
+			cycleGradient();
 	}
 	else
 		loadNextSong();
@@ -1048,6 +1814,12 @@ function loadPreset( name, alert ) {
 	if ( thisPreset.hasOwnProperty( 'freqMax' ) )
 		elRangeMax.value = thisPreset.freqMax;
 
+	if ( thisPreset.hasOwnProperty( 'freqScale' ) )
+		elFreqScale.value = thisPreset.freqScale;
+
+	if ( thisPreset.hasOwnProperty( 'bandStandard' ) )
+		elBandStd.value = thisPreset.bandStandard;
+
 	if ( thisPreset.hasOwnProperty( 'smoothing' ) )
 		document.getElementById('smoothingValue').innerText = elSmoothing.value = thisPreset.smoothing;
 
@@ -1074,6 +1846,9 @@ function loadPreset( name, alert ) {
 	if ( thisPreset.hasOwnProperty( 'cycleGrad' ) )
 		elCycleGrad.dataset.active = Number( thisPreset.cycleGrad );
 
+	if ( thisPreset.hasOwnProperty( 'beatGrad' ) )
+		elBeatGrad.dataset.active = Number( thisPreset.beatGrad );
+
 	if ( thisPreset.hasOwnProperty( 'ledDisplay' ) )
 		elLedDisplay.dataset.active = Number( thisPreset.ledDisplay );
 
@@ -1092,6 +1867,69 @@ function loadPreset( name, alert ) {
 	if ( thisPreset.hasOwnProperty( 'showFPS' ) )
 		elFPS.dataset.active = Number( thisPreset.showFPS );
 
+	if ( thisPreset.hasOwnProperty( 'stereo' ) )
+		elStereo.dataset.active = Number( thisPreset.stereo );
+
+	if ( thisPreset.hasOwnProperty( 'radial' ) )
+		elRadial.dataset.active = Number( thisPreset.radial );
+
+	if ( thisPreset.hasOwnProperty( 'showScope' ) )
+		elScope.dataset.active = Number( thisPreset.showScope );
+
+	if ( thisPreset.hasOwnProperty( 'noteLabels' ) )
+		elNoteLabels.dataset.active = Number( thisPreset.noteLabels );
+
+	if ( thisPreset.hasOwnProperty( 'showTuner' ) )
+		elTuner.dataset.active = Number( thisPreset.showTuner );
+
+	if ( thisPreset.hasOwnProperty( 'showLoudness' ) )
+		elLoudness.dataset.active = Number( thisPreset.showLoudness );
+
+	if ( thisPreset.hasOwnProperty( 'showMeters' ) )
+		elMeters.dataset.active = Number( thisPreset.showMeters );
+
+	if ( thisPreset.hasOwnProperty( 'meterType' ) )
+		elMeterType.value = thisPreset.meterType;
+
+	if ( thisPreset.hasOwnProperty( 'meterRef' ) )
+		elMeterRef.value = thisPreset.meterRef;
+
+	if ( thisPreset.hasOwnProperty( 'gonioTrail' ) )
+		elGonioTrail.value = thisPreset.gonioTrail;
+
+	if ( thisPreset.hasOwnProperty( 'gonioZoom' ) )
+		elGonioZoom.value = thisPreset.gonioZoom;
+
+	if ( thisPreset.hasOwnProperty( 'ledCount' ) )
+		elLedCount.value = thisPreset.ledCount;
+
+	if ( thisPreset.hasOwnProperty( 'ledRadius' ) )
+		elLedRadius.value = thisPreset.ledRadius;
+
+	if ( thisPreset.hasOwnProperty( 'ledUnlit' ) )
+		elLedUnlit.checked = !! Number( thisPreset.ledUnlit );
+
+	if ( thisPreset.hasOwnProperty( 'barSpace' ) )
+		elBarSpace.value = thisPreset.barSpace;
+
+	if ( thisPreset.hasOwnProperty( 'barLayout' ) )
+		elBarLayout.value = thisPreset.barLayout;
+
+	if ( thisPreset.hasOwnProperty( 'recFps' ) )
+		elRecFps.value = thisPreset.recFps;
+
+	if ( thisPreset.hasOwnProperty( 'recRes' ) )
+		elRecRes.value = thisPreset.recRes;
+
+	if ( thisPreset.hasOwnProperty( 'snapshotData' ) )
+		elSnapshotData.value = thisPreset.snapshotData;
+
+	if ( thisPreset.hasOwnProperty( 'useWorker' ) )
+		elUseWorker.checked = !! Number( thisPreset.useWorker );
+
+	if ( thisPreset.hasOwnProperty( 'weighting' ) )
+		elWeighting.value = thisPreset.weighting;
+
 	if ( thisPreset.hasOwnProperty( 'gradient' ) && gradients[ thisPreset.gradient ] )
 		elGradient.value = thisPreset.gradient;
 
@@ -1100,6 +1938,8 @@ function loadPreset( name, alert ) {
 		fftSize    : elFFTsize.value,
 		minFreq    : elRangeMin.value,
 		maxFreq    : elRangeMax.value,
+		frequencyScale: elFreqScale.value,
+		bandStandard: elBandStd.value,
 		smoothing  : elSmoothing.value,
 		minDb      : elMinDb.value,
 		maxDb      : elMaxDb.value,
@@ -1109,9 +1949,29 @@ function loadPreset( name, alert ) {
 		showLeds   : ( elLedDisplay.dataset.active == '1' ),
 		loRes      : ( elLoRes.dataset.active == '1' ),
 		showFPS    : ( elFPS.dataset.active == '1' ),
+		stereo     : ( elStereo.dataset.active == '1' ),
+		radial     : ( elRadial.dataset.active == '1' ),
+		showScope  : ( elScope.dataset.active == '1' ),
+		noteLabels : ( elNoteLabels.dataset.active == '1' ),
+		showTuner  : ( elTuner.dataset.active == '1' ),
+		showLoudness: ( elLoudness.dataset.active == '1' ),
+		showMeters : ( elMeters.dataset.active == '1' ),
+		meterType  : elMeterType.value,
+		meterReference: Number( elMeterRef.value ),
+		goniometerPersistence: Number( elGonioTrail.value ),
+		goniometerZoom: Number( elGonioZoom.value ),
+		ledCount   : Number( elLedCount.value ) || null,
+		ledRadius  : Number( elLedRadius.value ),
+		ledUnlit   : elLedUnlit.checked,
+		barSpace   : Number( elBarSpace.value ),
+		mirror     : elBarLayout.value == 'mirror',
+		reflexRatio: elBarLayout.value == 'reflex' ? .4 : 0,
+		weightingFilter: elWeighting.value,
 		gradient   : elGradient.value
 	} );
 
+	audioMotion.setBeatCallback( elBeatGrad.dataset.active == '1' ? gradientOnBeat : undefined );
+
 	if ( alert )
 		notie.alert({ text: 'Preset loaded!' });
 }
@@ -1125,6 +1985,8 @@ function saveConfig( config ) {
 		fftSize		: elFFTsize.value,
 		freqMin		: elRangeMin.value,
 		freqMax		: elRangeMax.value,
+		freqScale   : elFreqScale.value,
+		bandStandard: elBandStd.value,
 		smoothing	: audioMotion.analyzer.smoothingTimeConstant,
 		gradient	: elGradient.value,
 		mode        : elMode.value,
@@ -1134,12 +1996,34 @@ function saveConfig( config ) {
 		showPeaks 	: elShowPeaks.dataset.active == '1',
 		blackBg     : elBlackBg.dataset.active == '1',
 		cycleGrad   : elCycleGrad.dataset.active == '1',
+		beatGrad    : elBeatGrad.dataset.active == '1',
 		ledDisplay  : elLedDisplay.dataset.active == '1',
 		repeat      : elRepeat.dataset.active == '1',
 		showSong    : elShowSong.dataset.active == '1',
 		noShadow    : elNoShadow.dataset.active == '1',
 		loRes       : elLoRes.dataset.active == '1',
-		showFPS     : elFPS.dataset.active == '1'
+		showFPS     : elFPS.dataset.active == '1',
+		stereo      : elStereo.dataset.active == '1',
+		radial      : elRadial.dataset.active == '1',
+		showScope   : elScope.dataset.active == '1',
+		noteLabels  : elNoteLabels.dataset.active == '1',
+		showTuner   : elTuner.dataset.active == '1',
+		showLoudness: elLoudness.dataset.active == '1',
+		showMeters  : elMeters.dataset.active == '1',
+		meterType   : elMeterType.value,
+		meterRef    : elMeterRef.value,
+		gonioTrail  : elGonioTrail.value,
+		gonioZoom   : elGonioZoom.value,
+		ledCount    : elLedCount.value,
+		ledRadius   : elLedRadius.value,
+		ledUnlit    : elLedUnlit.checked,
+		barSpace    : elBarSpace.value,
+		barLayout   : elBarLayout.value,
+		recFps      : elRecFps.value,
+		recRes      : elRecRes.value,
+		snapshotData: elSnapshotData.value,
+		useWorker   : elUseWorker.checked,
+		weighting   : elWeighting.value
 	};
 
 	localStorage.setItem( config, JSON.stringify( settings ) );
@@ -1226,6 +2110,9 @@ function keyboardControls( event ) {
 			elBlackBg.click();
 			setCanvasMsg( 'Background ' + ( elBlackBg.dataset.active == '1' ? 'OFF' : 'ON' ) );
 			break;
+		case 'KeyC': 		// start / stop video recording
+			toggleRecording();
+			break;
 		case 'KeyD': 		// display information
 			if ( canvasMsg.msg ) {
 				if ( canvasMsg.msg == 'all' )
@@ -1236,6 +2123,9 @@ function keyboardControls( event ) {
 			else
 				setCanvasMsg( 'song', 300 );
 			break;
+		case 'KeyE': 		// save snapshot
+			takeSnapshot();
+			break;
 		case 'KeyF': 		// toggle fullscreen
 			fullscreen();
 			break;
@@ -1309,6 +2199,12 @@ function keyboardControls( event ) {
 				setCanvasMsg( 'Shuffled playlist' );
 			}
 			break;
+		case 'KeyX': 		// reset loudness meter
+			if ( audioMotion.showLoudness ) {
+				audioMotion.resetLoudness();
+				setCanvasMsg( 'Loudness meter reset' );
+			}
+			break;
 	}
 }
 
@@ -1406,14 +2302,22 @@ function setLoRes() {
 	});
 	document.getElementById('show_filelist').click();
 
-	// Create audioMotion analyzer
+	// Create audioMotion analyzer - worker rendering can only be selected on creation, so it's read from the last saved configuration
+
+	var useWorker = false;
+
+	try {
+		useWorker = !! JSON.parse( localStorage.getItem( 'last-config' ) ).useWorker;
+	}
+	catch( err ) {} // no saved configuration yet - keep the default
 
 	try {
-		audioMotion.create(
+		audioMotion = new AudioMotionAnalyzer(
 			document.getElementById('analyzer'),
 			{
 				onCanvasDraw: displayCanvasMsg,
-				onCanvasResize: showCanvasInfo
+				onCanvasResize: showCanvasInfo,
+				useWorker: useWorker
 			}
 		);
 	}
@@ -1423,6 +2327,7 @@ function setLoRes() {
 	}
 
 	consoleLog( `AudioContext sample rate is ${audioMotion.audioCtx.sampleRate}Hz` );
+	consoleLog( `Rendering on ${ audioMotion.useWorker ? 'a worker thread (OffscreenCanvas)' : 'the main thread' }` );
 
 	// Create audio elements
 
@@ -1463,12 +2368,46 @@ function setLoRes() {
 	elShowPeaks   = document.getElementById('show_peaks');
 	elBlackBg     = document.getElementById('black_bg');
 	elCycleGrad   = document.getElementById('cycle_grad');
+	elBeatGrad    = document.getElementById('beat_grad');
 	elLedDisplay  = document.getElementById('led_display');
 	elRepeat      = document.getElementById('repeat');
 	elShowSong    = document.getElementById('show_song');
 	elNoShadow    = document.getElementById('no_shadow');
 	elLoRes       = document.getElementById('lo_res');
 	elFPS         = document.getElementById('fps');
+	elStereo      = document.getElementById('stereo');
+	elRadial      = document.getElementById('radial');
+	elScope       = document.getElementById('scope');
+	elWeighting   = document.getElementById('weighting');
+	elNoteLabels  = document.getElementById('note_labels');
+	elTuner       = document.getElementById('tuner');
+	elLoudness    = document.getElementById('loudness');
+	elMeters      = document.getElementById('meters');
+	elMeterType   = document.getElementById('meter_type');
+	elMeterRef    = document.getElementById('meter_ref');
+	elGonioTrail  = document.getElementById('gonio_trail');
+	elGonioZoom   = document.getElementById('gonio_zoom');
+	elLedCount    = document.getElementById('led_count');
+	elLedRadius   = document.getElementById('led_radius');
+	elLedUnlit    = document.getElementById('led_unlit');
+	elBarSpace    = document.getElementById('bar_space');
+	elBarLayout   = document.getElementById('bar_layout');
+	elRecFps      = document.getElementById('rec_fps');
+	elRecRes      = document.getElementById('rec_res');
+	elSnapshotData= document.getElementById('snapshot_data');
+	elUseWorker   = document.getElementById('use_worker');
+	elGradEdit    = document.getElementById('grad_edit');
+	elGradName    = document.getElementById('grad_name');
+	elGradBg      = document.getElementById('grad_bg');
+	elGradDir     = document.getElementById('grad_dir');
+	elGradStops   = document.getElementById('grad_stops');
+	elGradType    = document.getElementById('grad_type');
+	elGradSolid   = document.getElementById('grad_solid');
+	elGradPeak    = document.getElementById('grad_peak');
+	elGradPeakColor = document.getElementById('grad_peak_color');
+	elGradHue     = document.getElementById('grad_hue');
+	elFreqScale   = document.getElementById('freq_scale');
+	elBandStd     = document.getElementById('band_std');
 	elSource      = document.getElementById('source');
 	elPlaylists   = document.getElementById('playlists');
 
@@ -1504,12 +2443,20 @@ function setLoRes() {
 	elShowPeaks.  addEventListener( 'click', setShowPeaks );
 	elBlackBg.    addEventListener( 'click', setBlackBg );
 	elCycleGrad.  addEventListener( 'click', updateLastConfig );
+	elBeatGrad.   addEventListener( 'click', setBeatGrad );
 	elLedDisplay. addEventListener( 'click', setLedDisplay );
 	elRepeat.     addEventListener( 'click', updateLastConfig );
 	elShowSong.   addEventListener( 'click', updateLastConfig );
 	elNoShadow.   addEventListener( 'click', updateLastConfig );
 	elLoRes.      addEventListener( 'click', setLoRes );
 	elFPS.        addEventListener( 'click', setFPS );
+	elStereo.     addEventListener( 'click', setStereo );
+	elRadial.     addEventListener( 'click', setRadial );
+	elScope.      addEventListener( 'click', setScope );
+	elNoteLabels. addEventListener( 'click', setNoteLabels );
+	elTuner.      addEventListener( 'click', setTuner );
+	elLoudness.   addEventListener( 'click', setLoudness );
+	elMeters.     addEventListener( 'click', setMeters );
 
 	// Add event listeners to UI config elements
 
@@ -1517,11 +2464,35 @@ function setLoRes() {
 	elFFTsize.    addEventListener( 'change', setFFTsize );
 	elRangeMin.   addEventListener( 'change', setFreqRange );
 	elRangeMax.   addEventListener( 'change', setFreqRange );
+	elFreqScale.  addEventListener( 'change', setFreqScale );
+	elBandStd.    addEventListener( 'change', setBandStandard );
 	elGradient.   addEventListener( 'change', setGradient );
 	elSource.     addEventListener( 'change', setSource );
 	elSmoothing.  addEventListener( 'change', setSmoothing );
 	elMinDb.      addEventListener( 'change', () => setSensitivity() );
 	elMaxDb.      addEventListener( 'change', () => setSensitivity() );
+	elWeighting.  addEventListener( 'change', setWeighting );
+	elMeterType.  addEventListener( 'change', setMeterOptions );
+	elMeterRef.   addEventListener( 'change', setMeterOptions );
+	elGonioTrail. addEventListener( 'change', setGoniometerOptions );
+	elGonioZoom.  addEventListener( 'change', setGoniometerOptions );
+	elLedCount.   addEventListener( 'change', setLedOptions );
+	elLedRadius.  addEventListener( 'change', setLedOptions );
+	elLedUnlit.   addEventListener( 'change', setLedOptions );
+	elBarSpace.   addEventListener( 'change', setBarOptions );
+	elBarLayout.  addEventListener( 'change', setBarOptions );
+	elRecFps.     addEventListener( 'change', updateLastConfig );
+	elRecRes.     addEventListener( 'change', updateLastConfig );
+	elSnapshotData.addEventListener( 'change', updateLastConfig );
+	elUseWorker.  addEventListener( 'change', updateLastConfig );
+	elGradEdit.   addEventListener( 'change', editGradient );
+	elGradBg.     addEventListener( 'input', previewGradient );
+	elGradDir.    addEventListener( 'change', previewGradient );
+	elGradType.   addEventListener( 'change', updateGradientStops );
+	elGradSolid.  addEventListener( 'change', previewGradient );
+	elGradPeak.   addEventListener( 'change', previewGradient );
+	elGradPeakColor.addEventListener( 'input', previewGradient );
+	elGradHue.    addEventListener( 'change', previewGradient );
 
 	document.getElementById('load_preset').addEventListener( 'click', () => loadPreset( document.getElementById('preset').value, true ) );
 	document.getElementById('btn_save').addEventListener( 'click', updateCustomPreset );
@@ -1531,27 +2502,50 @@ function setLoRes() {
 	document.getElementById('btn_next').addEventListener( 'click', () => playNextSong() );
 	document.getElementById('btn_shuf').addEventListener( 'click', shufflePlaylist );
 	document.getElementById('btn_fullscreen').addEventListener( 'click', fullscreen );
+	document.getElementById('btn_record').addEventListener( 'click', toggleRecording );
+	document.getElementById('btn_snapshot').addEventListener( 'click', takeSnapshot );
+	document.getElementById('grad_add_stop').addEventListener( 'click', () => addGradientStop() );
+	document.getElementById('grad_save').addEventListener( 'click', saveGradient );
+	document.getElementById('grad_delete').addEventListener( 'click', deleteGradient );
+	document.getElementById('grad_export').addEventListener( 'click', exportGradients );
+	document.getElementById('grad_import').addEventListener( 'change', e => importGradients( e.target ) );
 	document.getElementById('load_playlist').addEventListener( 'click', () => loadPlaylist( elPlaylists.value ) );
 	document.getElementById('save_playlist').addEventListener( 'click', () => savePlaylist( elPlaylists.selectedIndex ) );
 	document.getElementById('create_playlist').addEventListener( 'click', () => storePlaylist() );
 	document.getElementById('delete_playlist').addEventListener( 'click', () =>	deletePlaylist( elPlaylists.selectedIndex ) );
 	document.getElementById('btn_clear').addEventListener( 'click', clearPlaylist );
 
-	// clicks on canvas also toggle scale on/off
-	audioMotion.canvas.addEventListener( 'click', () =>	elShowScale.click() );
+	// clicks on canvas also toggle scale on/off - the listener is added to the container, since the canvas element is replaced
+	// if the rendering worker fails
+	document.getElementById('analyzer').addEventListener( 'click', () => elShowScale.click() );
 
 	setCanvasMsg();
 
-	// Register custom gradients
+	// Register custom gradients, including the ones created by the user
+	loadUserGradients();
+
 	Object.keys( gradients ).forEach( key => {
-		if ( gradients[ key ].bgColor && gradients[ key ].colorStops )
-			audioMotion.registerGradient( key, { bgColor: gradients[ key ].bgColor, colorStops: gradients[ key ].colorStops } );
+		// built-in gradients of the analyzer have no color stops defined here
+		if ( gradients[ key ].colorStops ) {
+			try {
+				audioMotion.registerGradient( key, gradients[ key ] );
+			}
+			catch( err ) {
+				consoleLog( `Could not register gradient "${ gradients[ key ].name }" - ${err}`, true );
+				delete gradients[ key ];
+				delete userGradients[ key ];
+				return;
+			}
+		}
 
 		// add the option to the html select element for the user interface
-		if ( elGradient.options.length < Object.keys( gradients ).length )
-			elGradient.options[ elGradient.options.length ] = new Option( gradients[ key ].name, key );
+		elGradient.options[ elGradient.options.length ] = new Option( gradients[ key ].name, key );
 	});
 
+	// Initialize gradient editor
+	updateGradientEditorList('');
+	editGradient();
+
 	// Load / initialize configuration options
 	var settings;
 
@@ -5,7 +5,10 @@ const OptimizeCSSAssetsPlugin = require('optimize-css-assets-webpack-plugin');
 
 module.exports = {
   mode: 'production',
-  entry: './src/index.js',
+  entry: {
+    audioMotion: './src/index.js',
+    'audioMotion-worker': './src/audioMotion-worker.js'
+  },
   module: {
     rules: [
       {
@@ -23,7 +26,7 @@ module.exports = {
     })
   ],
   output: {
-    filename: 'audioMotion.js',
+    filename: '[name].js',
     path: path.resolve( __dirname, 'public' )
   }
 };